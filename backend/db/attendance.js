@@ -0,0 +1,143 @@
+const { pool } = require('./index');
+
+const BREAK_KINDS = ['lunch', 'personal'];
+
+// Lateral join adding worked / break minutes summed over a day's sessions.
+// Open intervals count up to now. Expects the attendance row aliased as `a`.
+const SESSION_TOTALS = `
+  LEFT JOIN LATERAL (
+    SELECT
+      COALESCE(FLOOR(EXTRACT(EPOCH FROM
+        SUM(COALESCE(s.ended_at, NOW()) - s.started_at) FILTER (WHERE s.kind = 'work')
+      ) / 60), 0)::int AS worked_minutes,
+      COALESCE(FLOOR(EXTRACT(EPOCH FROM
+        SUM(COALESCE(s.ended_at, NOW()) - s.started_at) FILTER (WHERE s.kind <> 'work')
+      ) / 60), 0)::int AS break_minutes
+    FROM attendance_sessions s
+    WHERE s.attendance_id = a.id
+  ) totals ON TRUE`;
+
+// History entries for user $1: their attendance rows plus a placeholder row
+// (no id, status 'on-leave') for each approved leave day without one. Placeholders
+// are built from the attendance row type so both halves keep the same columns.
+const HISTORY_ENTRIES = `
+  SELECT a.*, NULL::varchar AS leave_type
+  FROM attendance a
+  WHERE a.user_id = $1
+  UNION ALL
+  SELECT (jsonb_populate_record(NULL::attendance, jsonb_build_object(
+           'user_id', ld.user_id, 'date', ld.date, 'status', 'on-leave'))).*,
+         ld.leave_type
+  FROM leave_days ld
+  WHERE ld.user_id = $1
+    AND NOT EXISTS (SELECT 1 FROM attendance x WHERE x.user_id = ld.user_id AND x.date = ld.date)`;
+
+// Attendance day with its totals and ordered sessions
+async function getDay(attendanceId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT a.*, totals.worked_minutes, totals.break_minutes
+     FROM attendance a ${SESSION_TOTALS}
+     WHERE a.id = $1`,
+    [attendanceId]
+  );
+  if (!rows.length) return null;
+
+  const sessions = await db.query(
+    `SELECT id, kind, started_at, ended_at
+     FROM attendance_sessions
+     WHERE attendance_id = $1
+     ORDER BY started_at`,
+    [attendanceId]
+  );
+  return { ...rows[0], sessions: sessions.rows };
+}
+
+// The user's latest attendance day that has not been checked out, locked for update.
+// Not keyed on today's date so that shifts running past midnight can still be closed.
+async function findOpenDay(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT * FROM attendance
+     WHERE user_id = $1 AND checked_out_at IS NULL
+     ORDER BY checked_in_at DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// The user's latest open interval (work or break) on any day, locked for update
+async function findOpenSession(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT s.*
+     FROM attendance_sessions s
+     JOIN attendance a ON a.id = s.attendance_id
+     WHERE a.user_id = $1 AND s.ended_at IS NULL
+     ORDER BY s.started_at DESC
+     LIMIT 1
+     FOR UPDATE OF s`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+async function openSession(attendanceId, kind, at, db = pool) {
+  await db.query(
+    `INSERT INTO attendance_sessions (attendance_id, kind, started_at)
+     VALUES ($1, $2, $3)`,
+    [attendanceId, kind, at]
+  );
+}
+
+async function closeSession(sessionId, at, db = pool) {
+  await db.query(
+    'UPDATE attendance_sessions SET ended_at = $2 WHERE id = $1',
+    [sessionId, at]
+  );
+}
+
+// Intervals for a corrected [start, end] window: breaks that lie fully inside
+// the window are kept, and work fills the gaps around them
+const rebuildIntervals = (breaks, start, end) => {
+  const kept = breaks
+    .filter(b => b.ended_at && b.started_at >= start && b.ended_at <= end)
+    .sort((x, y) => x.started_at - y.started_at);
+
+  const intervals = [];
+  let cursor = start;
+  for (const b of kept) {
+    if (b.started_at > cursor) intervals.push({ kind: 'work', started_at: cursor, ended_at: b.started_at });
+    intervals.push({ kind: b.kind, started_at: b.started_at, ended_at: b.ended_at });
+    cursor = b.ended_at;
+  }
+  if (cursor < end) intervals.push({ kind: 'work', started_at: cursor, ended_at: end });
+  return intervals;
+};
+
+// Replace a day's sessions so they span exactly [start, end]
+async function resetSessions(attendanceId, start, end, db = pool) {
+  const { rows } = await db.query(
+    `DELETE FROM attendance_sessions WHERE attendance_id = $1 RETURNING kind, started_at, ended_at`,
+    [attendanceId]
+  );
+  const breaks = rows.filter(s => s.kind !== 'work');
+  for (const interval of rebuildIntervals(breaks, start, end)) {
+    await db.query(
+      `INSERT INTO attendance_sessions (attendance_id, kind, started_at, ended_at)
+       VALUES ($1, $2, $3, $4)`,
+      [attendanceId, interval.kind, interval.started_at, interval.ended_at]
+    );
+  }
+}
+
+module.exports = {
+  BREAK_KINDS,
+  SESSION_TOTALS,
+  HISTORY_ENTRIES,
+  getDay,
+  findOpenDay,
+  findOpenSession,
+  openSession,
+  closeSession,
+  resetSessions,
+};
@@ -0,0 +1,175 @@
+const { pool, withTransaction } = require('./index');
+const { getScheduleForUser } = require('./schedules');
+const { getSetting } = require('./settings');
+const { classifyAttendance } = require('../utils/schedule');
+const { parsePunchTime, parseDirection, planDays } = require('../utils/punches');
+
+const IMPORT_MATCHES = ['email', 'employee_code'];
+
+const IMPORT_NOTE = 'Imported from punch log';
+
+// Header name → column index (case-insensitive), -1 when absent
+const columnIndex = (header, name) =>
+  header.findIndex(h => h.trim().toLowerCase() === String(name).trim().toLowerCase());
+
+// Work out which CSV columns hold the user, the time and the direction.
+// Returns { mapping } or { error } describing what is missing.
+function mapColumns(header, options = {}) {
+  const match = options.match || IMPORT_MATCHES.find(m => columnIndex(header, m) >= 0);
+  if (!match) return { error: 'No email or employee_code column — pass match and user_column' };
+
+  const user = columnIndex(header, options.user_column || match);
+  if (user < 0) return { error: `Column "${options.user_column || match}" not found` };
+
+  // A single timestamp column, or separate date and time columns
+  const timestamp = columnIndex(header, options.time_column || 'timestamp');
+  const date = columnIndex(header, 'date');
+  const time = columnIndex(header, 'time');
+  if (timestamp < 0 && (options.time_column || date < 0 || time < 0)) {
+    return { error: `Column "${options.time_column || 'timestamp'}" (or date + time) not found` };
+  }
+
+  const direction = columnIndex(header, options.direction_column || 'direction');
+  if (options.direction_column && direction < 0) {
+    return { error: `Column "${options.direction_column}" not found` };
+  }
+
+  return { mapping: { match, user, timestamp, date, time, direction } };
+}
+
+// Build the import plan for a parsed punch log (records after the header).
+// Nothing is written; every problem is reported against its CSV line.
+//
+// → { days: [...], conflicts: [...], errors: [{ line, message }] }
+async function planPunchImport(records, mapping, db = pool) {
+  const errors = [];
+  const byKey = new Map();
+
+  for (const { line, fields } of records) {
+    const raw = (i) => (i >= 0 ? (fields[i] || '').trim() : '');
+    const key = mapping.match === 'email' ? raw(mapping.user).toLowerCase() : raw(mapping.user);
+    if (!key) {
+      errors.push({ line, message: `Missing ${mapping.match}` });
+      continue;
+    }
+    const direction = mapping.direction >= 0 ? parseDirection(raw(mapping.direction)) : null;
+    if (mapping.direction >= 0 && !direction) {
+      errors.push({ line, message: `Unknown direction "${raw(mapping.direction)}" — expected in or out` });
+      continue;
+    }
+    const time = mapping.timestamp >= 0 ? raw(mapping.timestamp) : `${raw(mapping.date)} ${raw(mapping.time)}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push({ line, time, direction });
+  }
+
+  const { rows: users } = await db.query(
+    `SELECT id, name, email, employee_code, is_active, timezone
+     FROM users
+     WHERE ${mapping.match === 'email' ? 'lower(email)' : 'employee_code'} = ANY($1)`,
+    [[...byKey.keys()]]
+  );
+  const usersByKey = new Map(users.map(u => [mapping.match === 'email' ? u.email.toLowerCase() : u.employee_code, u]));
+  const orgTimezone = await getSetting('timezone');
+  const now = new Date();
+
+  const days = [];
+  for (const [key, rows] of byKey) {
+    const user = usersByKey.get(key);
+    const problem = !user ? `No user with ${mapping.match} "${key}"` : !user.is_active ? `User "${key}" is inactive` : null;
+    if (problem) {
+      rows.forEach(({ line }) => errors.push({ line, message: problem }));
+      continue;
+    }
+
+    const timeZone = user.timezone || orgTimezone;
+    const schedule = await getScheduleForUser(user.id, db);
+    const punches = [];
+    for (const { line, time, direction } of rows) {
+      const at = parsePunchTime(time, timeZone);
+      if (!at) errors.push({ line, message: `Invalid time "${time}" — expected YYYY-MM-DD HH:MM[:SS]` });
+      else if (at > now) errors.push({ line, message: 'Punch time is in the future' });
+      else punches.push({ line, at, direction });
+    }
+
+    const plan = planDays(punches, { schedule, timeZone });
+    errors.push(...plan.errors);
+    for (const day of plan.days) {
+      const checkedInAt = day.sessions[0].started_at;
+      const checkedOutAt = day.sessions[day.sessions.length - 1].ended_at;
+      days.push({
+        lines: day.lines,
+        user_id: user.id,
+        user_name: user.name,
+        user_email: user.email,
+        date: day.date,
+        checked_in_at: checkedInAt,
+        checked_out_at: checkedOutAt,
+        status: classifyAttendance(schedule, { date: day.date, checkedInAt, checkedOutAt, timeZone }),
+        worked_minutes: Math.floor(day.sessions.reduce((sum, s) => sum + (s.ended_at - s.started_at), 0) / 60000),
+        sessions: day.sessions,
+      });
+    }
+  }
+
+  // Days that already have a record, or are approved leave, are not imported
+  const { rows: clashes } = await db.query(
+    `SELECT p.user_id, to_char(p.date, 'YYYY-MM-DD') AS date,
+            EXISTS (SELECT 1 FROM attendance a WHERE a.user_id = p.user_id AND a.date = p.date) AS has_record,
+            EXISTS (SELECT 1 FROM leave_days ld WHERE ld.user_id = p.user_id AND ld.date = p.date) AS on_leave
+     FROM unnest($1::uuid[], $2::date[]) AS p(user_id, date)`,
+    [days.map(d => d.user_id), days.map(d => d.date)]
+  );
+  const clashFor = new Map(clashes.map(c => [`${c.user_id}|${c.date}`, c]));
+
+  const ready = [];
+  const conflicts = [];
+  for (const day of days) {
+    const clash = clashFor.get(`${day.user_id}|${day.date}`);
+    if (clash?.has_record) conflicts.push({ ...day, message: 'Attendance is already recorded for this date' });
+    else if (clash?.on_leave) conflicts.push({ ...day, message: 'User is on approved leave on this date' });
+    else ready.push(day);
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { days: ready, conflicts, errors };
+}
+
+// Write planned days, each with one work session per punch pair. Every day is
+// inserted under its own savepoint, so one that collides with a record created
+// since the preview (uq_attendance_user_date) is moved to `conflicts` while the
+// rest of the batch still commits.
+async function applyPunchImport(plan) {
+  return withTransaction(async (client) => {
+    const imported = [];
+    const conflicts = [...plan.conflicts];
+
+    for (const day of plan.days) {
+      await client.query('SAVEPOINT import_day');
+      try {
+        const { rows } = await client.query(
+          `INSERT INTO attendance (user_id, date, checked_in_at, checked_out_at, status, notes)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id`,
+          [day.user_id, day.date, day.checked_in_at, day.checked_out_at, day.status, IMPORT_NOTE]
+        );
+        for (const session of day.sessions) {
+          await client.query(
+            `INSERT INTO attendance_sessions (attendance_id, kind, started_at, ended_at)
+             VALUES ($1, 'work', $2, $3)`,
+            [rows[0].id, session.started_at, session.ended_at]
+          );
+        }
+        await client.query('RELEASE SAVEPOINT import_day');
+        imported.push({ ...day, attendance_id: rows[0].id });
+      } catch (err) {
+        if (err.code !== '23505') throw err;
+        await client.query('ROLLBACK TO SAVEPOINT import_day');
+        conflicts.push({ ...day, message: 'Attendance is already recorded for this date' });
+      }
+    }
+
+    return { days: imported, conflicts, errors: plan.errors };
+  });
+}
+
+module.exports = { IMPORT_MATCHES, mapColumns, planPunchImport, applyPunchImport };
@@ -1,8 +1,13 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+const Cursor = require('pg-cursor');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 
+// Return DATE columns as plain 'YYYY-MM-DD' strings. The default parser builds a
+// Date at local midnight, which shifts the calendar day once serialised as UTC.
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
 const pool = new Pool({
   host: process.env.DB_HOST,
   port: process.env.DB_PORT,
@@ -11,8 +16,40 @@ const pool = new Pool({
   password: process.env.DB_PASSWORD,
 });
 
+// Run `fn` with a dedicated client inside BEGIN / COMMIT, rolling back on error
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Iterate over a query's rows through a server-side cursor on a dedicated
+// client, `batchSize` rows at a time, so large exports never sit in memory.
+// Stopping early (break / return) closes the cursor and releases the client.
+async function* queryStream(text, params = [], batchSize = 500) {
+  const client = await pool.connect();
+  const cursor = client.query(new Cursor(text, params));
+  try {
+    for (let rows = await cursor.read(batchSize); rows.length; rows = await cursor.read(batchSize)) {
+      yield* rows;
+    }
+  } finally {
+    await cursor.close();
+    client.release();
+  }
+}
+
 async function migrate() {
   console.log('✅  Database migrated successfully');
 }
 
-module.exports = { pool, migrate };
\ No newline at end of file
+module.exports = { pool, withTransaction, queryStream, migrate };
\ No newline at end of file
@@ -0,0 +1,108 @@
+const { pool } = require('./index');
+
+// Create missing balance rows for a user's year from each type's yearly_days
+async function ensureBalances(userId, year, db = pool) {
+  await db.query(
+    `INSERT INTO leave_balances (user_id, leave_type_id, year, allocated)
+     SELECT $1, id, $2, yearly_days FROM leave_types
+     ON CONFLICT DO NOTHING`,
+    [userId, year]
+  );
+}
+
+async function getBalances(userId, year, db = pool) {
+  await ensureBalances(userId, year, db);
+  const { rows } = await db.query(
+    `SELECT t.code AS leave_type, t.name, b.year, b.allocated, b.used,
+            b.allocated - b.used AS remaining
+     FROM leave_balances b
+     JOIN leave_types t ON t.id = b.leave_type_id
+     WHERE b.user_id = $1 AND b.year = $2
+     ORDER BY t.name`,
+    [userId, year]
+  );
+  return rows;
+}
+
+// Working days in [from, to] for the user, grouped by calendar year
+// (a request spanning New Year draws on both years' balances)
+async function leaveDaysByYear(userId, from, to, db = pool) {
+  const { rows } = await db.query(
+    `SELECT EXTRACT(YEAR FROM d)::int AS year, COUNT(*)::int AS days
+     FROM generate_series($2::date, $3::date, INTERVAL '1 day') d
+     WHERE is_working_day($1, d::date)
+     GROUP BY 1
+     ORDER BY 1`,
+    [userId, from, to]
+  );
+  return rows;
+}
+
+// Lock the user's balance row for a leave type and year (created if missing)
+// and return it. Call inside a transaction.
+async function lockBalance(userId, leaveTypeId, year, db) {
+  await ensureBalances(userId, year, db);
+  const { rows } = await db.query(
+    `SELECT allocated, used FROM leave_balances
+     WHERE user_id = $1 AND leave_type_id = $2 AND year = $3
+     FOR UPDATE`,
+    [userId, leaveTypeId, year]
+  );
+  return rows[0];
+}
+
+// Draw `byYear` (see leaveDaysByYear) from the user's balances — or, if a year
+// has too little left, draw nothing and return that year. Call inside a transaction.
+async function drawBalances(userId, leaveTypeId, byYear, db) {
+  for (const { year, days } of byYear) {
+    const { allocated, used } = await lockBalance(userId, leaveTypeId, year, db);
+    if (allocated !== null && allocated - used < days) return { short: year };
+  }
+  for (const { year, days } of byYear) {
+    await db.query(
+      `UPDATE leave_balances SET used = used + $4, updated_at = NOW()
+       WHERE user_id = $1 AND leave_type_id = $2 AND year = $3`,
+      [userId, leaveTypeId, year, days]
+    );
+  }
+  return {};
+}
+
+// Give back the days an approved request drew (days_by_year; requests approved
+// before it was recorded are recounted)
+async function refundBalances(request, db) {
+  const byYear = request.days_by_year
+    || await leaveDaysByYear(request.user_id, request.start_date, request.end_date, db);
+  for (const { year, days } of byYear) {
+    await db.query(
+      `UPDATE leave_balances SET used = GREATEST(used - $4, 0), updated_at = NOW()
+       WHERE user_id = $1 AND leave_type_id = $2 AND year = $3`,
+      [request.user_id, request.leave_type_id, year, days]
+    );
+  }
+}
+
+// Dates in [from, to] the user already has attendance recorded on, on working days
+async function attendanceOnLeaveDays(userId, from, to, db = pool) {
+  const { rows } = await db.query(
+    `SELECT date FROM attendance
+     WHERE user_id = $1 AND date BETWEEN $2 AND $3 AND is_working_day($1, date)
+     ORDER BY date`,
+    [userId, from, to]
+  );
+  return rows.map(r => r.date);
+}
+
+// Approved leave covering `date`, or null
+async function findLeaveDay(userId, date, db = pool) {
+  const { rows } = await db.query(
+    'SELECT * FROM leave_days WHERE user_id = $1 AND date = $2',
+    [userId, date]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  ensureBalances, getBalances, leaveDaysByYear, lockBalance, drawBalances, refundBalances,
+  attendanceOnLeaveDays, findLeaveDay,
+};
@@ -0,0 +1,15 @@
+const { pool } = require('./index');
+
+// Add an in-app notification for a user. `data` carries whatever the client
+// needs to act on it (e.g. the attendance date to correct).
+async function notify(userId, type, message, data = {}, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO notifications (user_id, type, message, data)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [userId, type, message, JSON.stringify(data)]
+  );
+  return rows[0];
+}
+
+module.exports = { notify };
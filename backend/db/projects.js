@@ -0,0 +1,51 @@
+const { pool } = require('./index');
+
+// Ids of the projects `param` is a member of, as a subquery
+const PROJECTS_OF = (param) => `(SELECT pm.project_id FROM project_members pm WHERE pm.user_id = ${param})`;
+
+// Projects as returned by the API, with member and open / total task counts
+const PROJECT_COLUMNS = `p.*, creator.name AS created_by_name,
+  (SELECT COUNT(*) FROM project_members pm WHERE pm.project_id = p.id)::int AS member_count,
+  (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id)::int AS task_count,
+  (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id
+     AND t.status NOT IN ('completed', 'cancelled'))::int AS open_task_count`;
+const PROJECT_FROM = `projects p LEFT JOIN users creator ON creator.id = p.created_by`;
+
+// A project with the user's `my_role` on it ('owner', 'member', or null for an
+// admin who is not a member). Null if it does not exist or the user is neither
+// a member nor an admin.
+async function findProject(id, user, db = pool) {
+  const { rows } = await db.query(
+    `SELECT ${PROJECT_COLUMNS}, me.role AS my_role
+     FROM ${PROJECT_FROM}
+     LEFT JOIN project_members me ON me.project_id = p.id AND me.user_id = $2
+     WHERE p.id = $1`,
+    [id, user.id]
+  );
+  const project = rows[0];
+  return project && (project.my_role || user.role === 'admin') ? project : null;
+}
+
+// The user's role on a project ('owner' / 'member'), or null
+async function projectRole(projectId, userId, db = pool) {
+  const { rows } = await db.query(
+    'SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2',
+    [projectId, userId]
+  );
+  return rows[0]?.role || null;
+}
+
+async function listProjectMembers(projectId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT u.id, u.name, u.email, pm.role, pm.added_at
+     FROM project_members pm JOIN users u ON u.id = pm.user_id
+     WHERE pm.project_id = $1
+     ORDER BY pm.role DESC, u.name`,
+    [projectId]
+  );
+  return rows;
+}
+
+module.exports = {
+  PROJECTS_OF, PROJECT_COLUMNS, PROJECT_FROM, findProject, projectRole, listProjectMembers,
+};
@@ -0,0 +1,91 @@
+const { pool } = require('./index');
+const { getSettings } = require('./settings');
+
+// People on a daily report are listed with these fields
+const PERSON = 'u.id AS user_id, u.name, u.email, u.employee_code';
+
+// Who was absent, late or is still checked in on `date` (a business date).
+//
+//  - absent — active users for whom `date` is a working day (schedule / org
+//             working days, not a holiday), who had an account by then, are not
+//             on approved leave and have no attendance row; users whose
+//             scheduled shift for `date` has not started yet are left out
+//  - late   — check-ins classified late, with minutes past the scheduled start
+//  - open   — days checked in but not yet checked out, with the open session
+//
+// → { date, absent: [...], late: [...], open_sessions: [...] }
+async function buildDailyReport(date, db = pool) {
+  const { timezone } = await getSettings(db);
+
+  const { rows: absent } = await db.query(
+    `SELECT ${PERSON}
+     FROM users u
+     LEFT JOIN work_schedules ws ON ws.id = u.schedule_id
+     WHERE u.is_active
+       AND u.created_at::date <= $1
+       AND is_working_day(u.id, $1)
+       AND NOT EXISTS (SELECT 1 FROM attendance a WHERE a.user_id = u.id AND a.date = $1)
+       AND NOT EXISTS (SELECT 1 FROM leave_days ld WHERE ld.user_id = u.id AND ld.date = $1)
+       AND (ws.id IS NULL OR ($1::date + ws.start_time) AT TIME ZONE COALESCE(u.timezone, $2) <= NOW())
+     ORDER BY u.name`,
+    [date, timezone]
+  );
+
+  const { rows: late } = await db.query(
+    `SELECT ${PERSON}, a.id AS attendance_id, a.checked_in_at,
+            to_char(ws.start_time, 'HH24:MI') AS scheduled_start,
+            FLOOR(EXTRACT(EPOCH FROM a.checked_in_at -
+              ((a.date + ws.start_time) AT TIME ZONE COALESCE(u.timezone, $2))) / 60)::int AS minutes_late
+     FROM attendance a
+     JOIN users u ON u.id = a.user_id
+     LEFT JOIN work_schedules ws ON ws.id = u.schedule_id
+     WHERE a.date = $1 AND a.status = 'late' AND u.is_active
+     ORDER BY a.checked_in_at`,
+    [date, timezone]
+  );
+
+  const { rows: openSessions } = await db.query(
+    `SELECT ${PERSON}, a.id AS attendance_id, a.checked_in_at,
+            s.kind AS open_kind, s.started_at AS open_since
+     FROM attendance a
+     JOIN users u ON u.id = a.user_id
+     LEFT JOIN attendance_sessions s ON s.attendance_id = a.id AND s.ended_at IS NULL
+     WHERE a.date = $1 AND a.checked_out_at IS NULL AND u.is_active
+     ORDER BY a.checked_in_at`,
+    [date]
+  );
+
+  return { date, absent, late, open_sessions: openSessions };
+}
+
+const REPORT_COLUMNS = `to_char(date, 'YYYY-MM-DD') AS date, absent, late, open_sessions,
+                        generated_by, generated_at`;
+
+// Store (or replace) the report for its date. `generatedBy` is null for the job.
+async function saveDailyReport(report, generatedBy = null, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO daily_reports (date, absent, late, open_sessions, generated_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (date) DO UPDATE SET
+       absent = EXCLUDED.absent, late = EXCLUDED.late, open_sessions = EXCLUDED.open_sessions,
+       generated_by = EXCLUDED.generated_by, generated_at = NOW()
+     RETURNING ${REPORT_COLUMNS}`,
+    [report.date, JSON.stringify(report.absent), JSON.stringify(report.late),
+      JSON.stringify(report.open_sessions), generatedBy]
+  );
+  return rows[0];
+}
+
+async function getDailyReport(date, db = pool) {
+  const { rows } = await db.query(`SELECT ${REPORT_COLUMNS} FROM daily_reports WHERE date = $1`, [date]);
+  return rows[0] || null;
+}
+
+// Headline numbers shown alongside a report
+const reportCounts = (report) => ({
+  absent: report.absent.length,
+  late: report.late.length,
+  open_sessions: report.open_sessions.length,
+});
+
+module.exports = { buildDailyReport, saveDailyReport, getDailyReport, reportCounts };
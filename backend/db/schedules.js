@@ -0,0 +1,15 @@
+const { pool } = require('./index');
+
+// Work schedule assigned to a user, or null when none is assigned
+async function getScheduleForUser(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT s.*
+     FROM users u
+     JOIN work_schedules s ON s.id = u.schedule_id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+module.exports = { getScheduleForUser };
@@ -0,0 +1,53 @@
+const { pool, withTransaction } = require('./index');
+
+// Organisation-wide settings, stored as JSON values in org_settings.
+// Keys without a row fall back to these defaults.
+const DEFAULTS = {
+  timezone: process.env.ORG_TIMEZONE || 'UTC',
+  working_days: [1, 2, 3, 4, 5], // ISO weekdays for users without a schedule — see is_working_day()
+  auto_checkout_time: '23:59',   // local cutoff after which open days are closed (jobs/autoCheckout.js)
+  auto_checkout_grace_minutes: 480, // for users with a schedule: minutes after the shift ends instead
+  daily_report_time: '10:00',    // org-local time the absence / late report is generated; null = off
+  // Timesheets (db/timesheets.js)
+  expected_daily_minutes: 480,   // expected work per working day for users without a schedule
+  overtime_threshold_minutes: null, // daily minutes before overtime accrues; null = the day's expected minutes
+  overtime_on_non_working_days: true, // all time worked on weekends / holidays counts as overtime
+  // Tasks (routes/taskChecklist.js)
+  checklist_autocomplete: false, // ticking a task's last open checklist item completes the task
+};
+
+// Settings are read on most requests — keep them briefly in memory
+const CACHE_TTL_MS = 30 * 1000;
+let cache = null;
+let cachedAt = 0;
+
+async function getSettings(db = pool) {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) return cache;
+  const { rows } = await db.query('SELECT key, value FROM org_settings');
+  const stored = Object.fromEntries(rows.map(r => [r.key, r.value]));
+  cache = { ...DEFAULTS, ...stored };
+  cachedAt = Date.now();
+  return cache;
+}
+
+async function getSetting(key) {
+  const settings = await getSettings();
+  return settings[key];
+}
+
+async function updateSettings(values) {
+  await withTransaction(async (client) => {
+    for (const [key, value] of Object.entries(values)) {
+      await client.query(
+        `INSERT INTO org_settings (key, value)
+         VALUES ($1, $2)
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+        [key, JSON.stringify(value)]
+      );
+    }
+  });
+  cache = null;
+  return getSettings();
+}
+
+module.exports = { DEFAULTS, getSettings, getSetting, updateSettings };
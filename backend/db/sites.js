@@ -0,0 +1,40 @@
+const { pool } = require('./index');
+const { distanceMeters, normalizeIp } = require('../utils/geo');
+
+// Where a check-in comes from under the user's site policy.
+//   office  — from one of the site's networks, inside its geofence, or with a
+//             code scanned from one of the site's active kiosks (`kioskId`,
+//             already verified — see utils/kiosk.js)
+//   remote  — the user has a site but the request matched none of those
+//   unknown — no site assigned, so there is nothing to check against
+// On a site with `require_kiosk` only the kiosk code counts.
+// `allowed` is false only for remote check-ins under a 'reject' policy;
+// under 'flag' they go through with `flagged` set. `kioskId` is returned only
+// when the kiosk belongs to the user's site.
+async function checkInLocation(userId, { ip, latitude, longitude, kioskId = null }, db = pool) {
+  const { rows } = await db.query(
+    `SELECT s.*, COALESCE($2::inet <<= ANY(s.ip_ranges), FALSE) AS ip_match,
+            EXISTS (SELECT 1 FROM kiosk_devices k
+                    WHERE k.id = $3 AND k.site_id = s.id AND k.is_active) AS kiosk_match
+     FROM users u
+     JOIN sites s ON s.id = u.site_id
+     WHERE u.id = $1`,
+    [userId, normalizeIp(ip), kioskId]
+  );
+  const site = rows[0];
+  if (!site) return { site: null, origin: 'unknown', allowed: true, flagged: false, kioskId: null };
+
+  const inGeofence = site.latitude != null && latitude != null && longitude != null &&
+    distanceMeters(site, { latitude, longitude }) <= site.radius_meters;
+  const atSite = site.kiosk_match || (!site.require_kiosk && (site.ip_match || inGeofence));
+
+  return {
+    site,
+    origin: atSite ? 'office' : 'remote',
+    allowed: atSite || site.enforcement === 'flag',
+    flagged: !atSite && site.enforcement === 'flag',
+    kioskId: site.kiosk_match ? kioskId : null,
+  };
+}
+
+module.exports = { checkInLocation };
@@ -0,0 +1,321 @@
+const { pool } = require('./index');
+const { getSettings } = require('./settings');
+const { localDate } = require('../utils/time');
+const { nextOccurrence } = require('../utils/recurrence');
+const { PROJECTS_OF } = require('./projects');
+const { MANAGED_BY } = require('./teams');
+
+// A task's status history as spans — it starts out pending and each 'status'
+// activity row begins a new span, the last one running until now — summed into
+// { status: minutes }, with the start of the current span
+const STATUS_TIME = `
+  SELECT MAX(span.started) AS since,
+         jsonb_object_agg(span.status, span.minutes) AS minutes
+  FROM (
+    SELECT status, MAX(started) AS started,
+           FLOOR(SUM(EXTRACT(EPOCH FROM ended - started)) / 60)::int AS minutes
+    FROM (
+      SELECT h.status, h.at AS started, LEAD(h.at, 1, NOW()) OVER (ORDER BY h.at) AS ended
+      FROM (
+        SELECT 'pending'::text AS status, t.created_at AS at
+        UNION ALL
+        SELECT a.to_value, a.created_at FROM task_activity a WHERE a.task_id = t.id AND a.kind = 'status'
+      ) h
+    ) spans
+    GROUP BY status
+  ) span`;
+
+const TASK_STATUSES = ['pending', 'in-progress', 'review', 'completed', 'cancelled'];
+// Statuses a task is done with; the rest count as open
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+// Task rows as returned by the API, with creator, assignee and project names, checklist
+// progress (done / total items), the recurrence rule of recurring tasks, and
+// what the status history says: since when the task has had its status, when it
+// was completed (while it is) and the minutes spent in each status so far
+const TASK_COLUMNS = `t.*, creator.name AS created_by_name, assignee.name AS assigned_to_name,
+  project.name AS project_name,
+  (SELECT COUNT(*) FROM task_checklist_items ci WHERE ci.task_id = t.id)::int AS checklist_total,
+  (SELECT COUNT(*) FROM task_checklist_items ci WHERE ci.task_id = t.id AND ci.is_done)::int AS checklist_done,
+  CASE WHEN series.id IS NOT NULL THEN jsonb_build_object(
+    'freq', series.freq, 'every', series.every, 'weekdays', series.weekdays,
+    'month_day', series.month_day, 'until', series.until, 'count', series.count,
+    'occurrences', series.occurrences, 'ended', series.ended_at IS NOT NULL
+  ) END AS recurrence,
+  status_time.since AS status_since,
+  CASE WHEN t.status = 'completed' THEN status_time.since END AS completed_at,
+  status_time.minutes AS status_minutes`;
+const TASK_FROM = `tasks t
+  JOIN users creator       ON creator.id = t.created_by
+  LEFT JOIN users assignee ON assignee.id = t.assigned_to
+  LEFT JOIN task_series series ON series.id = t.series_id
+  LEFT JOIN projects project   ON project.id = t.project_id
+  LEFT JOIN LATERAL (${STATUS_TIME}) status_time ON TRUE`;
+
+// Tasks a user can see: ones they created or are assigned to, the tasks of their
+// projects, and those created by or assigned to members of teams they manage
+const VISIBLE_TO = (param) => `(t.created_by = ${param} OR t.assigned_to = ${param}
+  OR t.project_id IN ${PROJECTS_OF(param)}
+  OR t.created_by IN ${MANAGED_BY(param)} OR t.assigned_to IN ${MANAGED_BY(param)})`;
+
+// Full-text search documents — title weighted above description, comments
+// matched separately. Kept identical to the expression indexes in schema.sql.
+const TASK_DOCUMENT = `(setweight(to_tsvector('english', t.title), 'A') ||
+  setweight(to_tsvector('english', COALESCE(t.description, '')), 'B'))`;
+const COMMENT_DOCUMENT = `to_tsvector('english', COALESCE(c.body, ''))`;
+
+// Search condition and relevance for the tsquery in `param`: a task matches on
+// its own text or any of its comments, and comment hits rank below
+// title / description hits.
+const SEARCH_MATCH = (param) => `(${TASK_DOCUMENT} @@ ${param} OR EXISTS (
+  SELECT 1 FROM task_comments c WHERE c.task_id = t.id AND ${COMMENT_DOCUMENT} @@ ${param}))`;
+const SEARCH_RANK = (param) => `(ts_rank(${TASK_DOCUMENT}, ${param}) + 0.5 * COALESCE((
+  SELECT MAX(ts_rank(${COMMENT_DOCUMENT}, ${param}))
+  FROM task_comments c WHERE c.task_id = t.id AND ${COMMENT_DOCUMENT} @@ ${param}), 0))`;
+
+// A task the user may open, or null. Admins may open every task so they can
+// reassign any of them; the task list stays limited to VISIBLE_TO for everyone.
+async function findTask(id, user, db = pool) {
+  const params = [id];
+  const visible = user.role === 'admin' ? '' : `AND ${VISIBLE_TO(`$${params.push(user.id)}`)}`;
+  const { rows } = await db.query(
+    `SELECT ${TASK_COLUMNS} FROM ${TASK_FROM} WHERE t.id = $1 ${visible}`,
+    params
+  );
+  return rows[0] || null;
+}
+
+// True if `userId` is an active user a task can be assigned to
+async function isAssignable(userId, db = pool) {
+  const { rows } = await db.query('SELECT 1 FROM users WHERE id = $1 AND is_active', [userId]);
+  return rows.length > 0;
+}
+
+// ── Board order ──────────────────────────────────────────────────
+// Tasks are ordered within each status column by `position`, a NUMERIC rank.
+// A move takes the midpoint of its new neighbours — exact at any precision — so
+// it only ever rewrites the task moved.
+const POSITION_GAP = 1024;
+const BOARD_ORDER = 't.position, t.created_at, t.id';
+
+// Position at the bottom of the column of the status in `param`, for new tasks
+const NEXT_POSITION = (param) =>
+  `(SELECT COALESCE(MAX(position), 0) + ${POSITION_GAP} FROM tasks WHERE status = ${param})`;
+
+// Position for task `taskId` in the `status` column right after `afterId` (null:
+// at the top), or null if `user` cannot see `afterId` or it is not in that
+// column. The next task is looked for across the whole column, so the task lands
+// right after the anchor on every board that shows both. Moves are serialised
+// with an advisory lock. Call inside a transaction.
+async function positionAfter(taskId, status, afterId, user, db) {
+  await db.query("SELECT pg_advisory_xact_lock(hashtext('task-positions'))");
+  let prev = null;
+  if (afterId) {
+    prev = await findTask(afterId, user, db);
+    if (!prev || prev.status !== status) return null;
+  }
+  const { rows: [next] } = await db.query(
+    `SELECT t.position FROM tasks t
+     WHERE t.status = $1 AND t.id <> $2
+       ${prev ? 'AND (t.position, t.created_at, t.id) > (SELECT position, created_at, id FROM tasks WHERE id = $3)' : ''}
+     ORDER BY ${BOARD_ORDER} LIMIT 1`,
+    prev ? [status, taskId, prev.id] : [status, taskId]
+  );
+
+  // Multiplying by 0.5 rather than dividing keeps NUMERIC arithmetic exact
+  const { rows: [{ position }] } = await db.query(
+    `SELECT CASE WHEN $1::numeric IS NULL THEN COALESCE($2::numeric - ${POSITION_GAP}, ${POSITION_GAP})
+                 WHEN $2::numeric IS NULL THEN $1::numeric + ${POSITION_GAP}
+                 ELSE trim_scale(($1::numeric + $2::numeric) * 0.5) END AS position`,
+    [prev?.position ?? null, next?.position ?? null]
+  );
+  return position;
+}
+
+// ── Workflow ─────────────────────────────────────────────────────
+// Every allowed status change, in status order
+async function listTransitions(db = pool) {
+  const { rows } = await db.query(
+    `SELECT from_status, to_status, admin_only FROM task_status_transitions
+     ORDER BY array_position($1::text[], from_status::text), array_position($1::text[], to_status::text)`,
+    [TASK_STATUSES]
+  );
+  return rows;
+}
+
+// The allowed status change from `from` to `to` ({ from_status, to_status,
+// admin_only }), or null
+async function findTransition(from, to, db = pool) {
+  const { rows } = await db.query(
+    'SELECT * FROM task_status_transitions WHERE from_status = $1 AND to_status = $2',
+    [from, to]
+  );
+  return rows[0] || null;
+}
+
+// Why `user` may not move a task from `from` to `to` as { error, message }, or
+// null when the workflow allows it
+async function transitionError(from, to, user, db = pool) {
+  const transition = await findTransition(from, to, db);
+  if (!transition) return { error: 409, message: `A task cannot go from ${from} to ${to}` };
+  if (transition.admin_only && user.role !== 'admin') {
+    return { error: 403, message: `Only an admin can move a task from ${from} to ${to}` };
+  }
+  return null;
+}
+
+// ── Activity ─────────────────────────────────────────────────────
+// Task fields whose changes appear on the timeline
+const TRACKED_FIELDS = ['status', 'priority', 'due_date', 'assigned_to'];
+
+// Record what changed between two versions of a task (rows as read by findTask)
+async function recordActivity(before, after, actorId, db = pool) {
+  for (const field of TRACKED_FIELDS) {
+    if ((before[field] ?? null) === (after[field] ?? null)) continue;
+    await db.query(
+      `INSERT INTO task_activity (task_id, actor_id, kind, from_value, to_value)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [after.id, actorId, field, before[field] ?? null, after[field] ?? null]
+    );
+  }
+}
+
+async function recordCreated(taskId, actorId, db = pool) {
+  await db.query(
+    `INSERT INTO task_activity (task_id, actor_id, kind) VALUES ($1, $2, 'created')`,
+    [taskId, actorId]
+  );
+}
+
+// Comments and activity of a task, oldest first, as one list of
+// { type: 'comment' | 'activity', ... } entries. Assignee changes carry the
+// names of both users; deleted comments keep their place without a body.
+async function getTimeline(taskId, db = pool) {
+  const { rows: comments } = await db.query(
+    `SELECT 'comment' AS type, c.id, c.parent_id, c.author_id, u.name AS author_name,
+            c.body, c.edited_at, c.deleted_at, c.created_at
+     FROM task_comments c
+     LEFT JOIN users u ON u.id = c.author_id
+     WHERE c.task_id = $1`,
+    [taskId]
+  );
+  const { rows: activity } = await db.query(
+    `SELECT 'activity' AS type, a.id, a.kind, a.actor_id, u.name AS actor_name,
+            a.from_value, a.to_value, a.created_at,
+            CASE WHEN a.kind = 'assigned_to' THEN fu.name END AS from_name,
+            CASE WHEN a.kind = 'assigned_to' THEN tu.name END AS to_name
+     FROM task_activity a
+     LEFT JOIN users u  ON u.id = a.actor_id
+     LEFT JOIN users fu ON a.kind = 'assigned_to' AND fu.id::text = a.from_value
+     LEFT JOIN users tu ON a.kind = 'assigned_to' AND tu.id::text = a.to_value
+     WHERE a.task_id = $1`,
+    [taskId]
+  );
+  return [...comments, ...activity].sort((a, b) => a.created_at - b.created_at);
+}
+
+// ── Recurrence ───────────────────────────────────────────────────
+// Fields copied from a series onto each new occurrence
+const SERIES_TEMPLATE = ['title', 'description', 'priority', 'assigned_to', 'tags'];
+const SERIES_RULE = ['freq', 'every', 'weekdays', 'month_day', 'until', 'count'];
+
+// Start a series from a freshly created task, which becomes its first occurrence
+async function createSeries(task, rule, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO task_series
+       (created_by, assigned_to, title, description, priority, tags, freq, every, weekdays, month_day, until, count)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING id`,
+    [task.created_by, task.assigned_to, task.title, task.description, task.priority, task.tags,
+      rule.freq, rule.every, rule.weekdays, rule.month_day, rule.until, rule.count]
+  );
+  await db.query('UPDATE tasks SET series_id = $1 WHERE id = $2', [rows[0].id, task.id]);
+  return rows[0].id;
+}
+
+// Create the occurrence after the series' latest one once that one is finished
+// (completed or cancelled) or overdue. The new due date is never in the past, so a
+// series left alone for a while gets one new task rather than a backlog. Ends the
+// series when its `until` / `count` runs out. The latest occurrence's project and
+// checklist are carried over, the checklist unticked. Returns the new task's id, or null.
+async function advanceSeries(seriesId, db = pool) {
+  const { rows: [series] } = await db.query(
+    'SELECT * FROM task_series WHERE id = $1 AND ended_at IS NULL FOR UPDATE',
+    [seriesId]
+  );
+  if (!series) return null;
+
+  const { timezone } = await getSettings(db);
+  const today = localDate(timezone);
+  const { rows: [latest] } = await db.query(
+    'SELECT id, status, due_date, project_id FROM tasks WHERE series_id = $1 ORDER BY due_date DESC LIMIT 1',
+    [seriesId]
+  );
+  const finished = latest && FINISHED_STATUSES.includes(latest.status);
+  if (latest && !finished && latest.due_date >= today) return null;
+
+  const dueDate = latest && nextOccurrence(series, latest.due_date, today);
+  if (!latest || (series.until && dueDate > series.until) || (series.count && series.occurrences >= series.count)) {
+    await db.query('UPDATE task_series SET ended_at = NOW() WHERE id = $1', [seriesId]);
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO tasks (created_by, assigned_to, title, description, priority, tags, due_date, series_id, project_id,
+                        position)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, ${NEXT_POSITION("'pending'")})
+     RETURNING id`,
+    [series.created_by, series.assigned_to, series.title, series.description, series.priority, series.tags,
+      dueDate, seriesId, latest.project_id]
+  );
+  await db.query(
+    `INSERT INTO task_checklist_items (task_id, title, position)
+     SELECT $1, title, position FROM task_checklist_items WHERE task_id = $2`,
+    [rows[0].id, latest.id]
+  );
+  await db.query('UPDATE task_series SET occurrences = occurrences + 1 WHERE id = $1', [seriesId]);
+  await recordCreated(rows[0].id, null, db);
+  return rows[0].id;
+}
+
+// ── Updates ──────────────────────────────────────────────────────
+// After an update whose activity is recorded: the task, re-read for its status
+// history and because advancing may have ended its series, and — after a status
+// change on a recurring task — the occurrence finishing it created (or null)
+async function withNextOccurrence(before, after, user, db = pool) {
+  const advance = after.series_id && before.status !== after.status;
+  const nextId = advance ? await advanceSeries(after.series_id, db) : null;
+  return {
+    task: await findTask(after.id, user, db),
+    next_task: nextId ? await findTask(nextId, user, db) : null,
+  };
+}
+
+// Write `changes` (task fields → new values, already checked by the caller) to
+// `task` and record them, as withNextOccurrence. A status change puts the task at
+// the bottom of its new board column. Only written while the task still has the
+// status it was checked with; null if not. Call inside a transaction.
+async function applyUpdate(task, changes, user, db) {
+  const updates = Object.keys(changes);
+  const setClauses = updates.map((key, idx) => `${key} = $${idx + 1}`);
+  const values = updates.map(k => changes[k]);
+  if (changes.status !== undefined && changes.status !== task.status) {
+    setClauses.push(`position = ${NEXT_POSITION(`$${values.push(changes.status)}::text`)}`);
+  }
+
+  const { rowCount } = await db.query(
+    `UPDATE tasks SET ${setClauses.join(', ')} WHERE id = $${values.length + 1} AND status = $${values.length + 2}`,
+    [...values, task.id, task.status]
+  );
+  if (!rowCount) return null;
+  const after = await findTask(task.id, user, db);
+  await recordActivity(task, after, user.id, db);
+  return withNextOccurrence(task, after, user, db);
+}
+
+module.exports = {
+  TASK_STATUSES, FINISHED_STATUSES, TASK_COLUMNS, TASK_FROM, VISIBLE_TO, SEARCH_MATCH, SEARCH_RANK,
+  TRACKED_FIELDS, SERIES_TEMPLATE, SERIES_RULE, BOARD_ORDER, NEXT_POSITION,
+  findTask, isAssignable, positionAfter, listTransitions, findTransition, transitionError,
+  recordActivity, recordCreated, getTimeline, createSeries, advanceSeries, withNextOccurrence, applyUpdate,
+};
@@ -0,0 +1,28 @@
+const { pool } = require('./index');
+
+// Ids of the users on the teams `param` manages, as a subquery
+const MANAGED_BY = (param) => `(SELECT tm.user_id FROM team_members tm
+  JOIN teams team ON team.id = tm.team_id WHERE team.manager_id = ${param})`;
+
+// Teams as returned by the API, with the manager's name and member count
+const TEAM_COLUMNS = `tm.*, manager.name AS manager_name,
+  (SELECT COUNT(*) FROM team_members m WHERE m.team_id = tm.id)::int AS member_count`;
+const TEAM_FROM = `teams tm LEFT JOIN users manager ON manager.id = tm.manager_id`;
+
+async function getTeam(id, db = pool) {
+  const { rows } = await db.query(`SELECT ${TEAM_COLUMNS} FROM ${TEAM_FROM} WHERE tm.id = $1`, [id]);
+  return rows[0] || null;
+}
+
+async function listTeamMembers(teamId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT u.id, u.name, u.email, m.added_at
+     FROM team_members m JOIN users u ON u.id = m.user_id
+     WHERE m.team_id = $1
+     ORDER BY u.name`,
+    [teamId]
+  );
+  return rows;
+}
+
+module.exports = { MANAGED_BY, TEAM_COLUMNS, TEAM_FROM, getTeam, listTeamMembers };
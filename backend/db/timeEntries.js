@@ -0,0 +1,108 @@
+const { pool } = require('./index');
+const { SESSION_TOTALS } = require('./attendance');
+
+// Length of an entry in seconds; a running timer counts up to now. Totals sum
+// seconds before rounding down to minutes.
+const ENTRY_SECONDS = `EXTRACT(EPOCH FROM COALESCE(e.ended_at, NOW()) - e.started_at)`;
+const ENTRY_MINUTES = `FLOOR(${ENTRY_SECONDS} / 60)::int`;
+const TOTAL_MINUTES = `COALESCE(FLOOR(SUM(${ENTRY_SECONDS}) / 60), 0)::int`;
+
+// Entries as returned by the API, with task title, user name and minutes
+const ENTRY_COLUMNS = `e.*, t.title AS task_title, u.name AS user_name, ${ENTRY_MINUTES} AS minutes`;
+const ENTRY_FROM = `task_time_entries e
+  JOIN tasks t ON t.id = e.task_id
+  JOIN users u ON u.id = e.user_id`;
+
+async function getEntry(id, db = pool) {
+  const { rows } = await db.query(`SELECT ${ENTRY_COLUMNS} FROM ${ENTRY_FROM} WHERE e.id = $1`, [id]);
+  return rows[0] || null;
+}
+
+// The user's running timer, or null
+async function runningTimer(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT ${ENTRY_COLUMNS} FROM ${ENTRY_FROM} WHERE e.user_id = $1 AND e.ended_at IS NULL`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// Stop the user's running timer at `at` (check-out). A timer started at or
+// after `at` has no length and is dropped. Returns the stopped entry's id, or null.
+async function stopTimer(userId, at, db = pool) {
+  const { rows } = await db.query(
+    `UPDATE task_time_entries SET ended_at = $2
+     WHERE user_id = $1 AND ended_at IS NULL AND started_at < $2
+     RETURNING id`,
+    [userId, at]
+  );
+  await db.query('DELETE FROM task_time_entries WHERE user_id = $1 AND ended_at IS NULL', [userId]);
+  return rows[0]?.id || null;
+}
+
+// The attendance day whose check-in window (check-in to check-out, or now if
+// still open) contains [start, end], or null
+async function windowFor(userId, start, end, db = pool) {
+  const { rows } = await db.query(
+    `SELECT id, date FROM attendance
+     WHERE user_id = $1 AND checked_in_at <= $2 AND COALESCE(checked_out_at, NOW()) >= $3
+     ORDER BY checked_in_at DESC
+     LIMIT 1`,
+    [userId, start, end]
+  );
+  return rows[0] || null;
+}
+
+// True if [start, end] overlaps another of the user's entries (running ones up to now)
+async function overlapsEntry(userId, start, end, excludeId = null, db = pool) {
+  const { rows } = await db.query(
+    `SELECT 1 FROM task_time_entries
+     WHERE user_id = $1 AND id IS DISTINCT FROM $4::uuid
+       AND started_at < $3 AND COALESCE(ended_at, NOW()) > $2
+     LIMIT 1`,
+    [userId, start, end, excludeId]
+  );
+  return rows.length > 0;
+}
+
+// Tracked time between two business dates, per task and per attendance day.
+// Days also carry the minutes worked, so untracked time shows up. `userId`
+// narrows to one user; without it, days are listed per user.
+async function timeReport({ userId = null, from, to }, db = pool) {
+  const params = [from, to];
+  const forUser = userId ? `AND a.user_id = $${params.push(userId)}` : '';
+
+  const { rows: byTask } = await db.query(
+    `SELECT e.task_id, t.title, t.status, ${TOTAL_MINUTES} AS minutes, COUNT(*)::int AS entries
+     FROM task_time_entries e
+     JOIN tasks t      ON t.id = e.task_id
+     JOIN attendance a ON a.id = e.attendance_id
+     WHERE a.date BETWEEN $1 AND $2 ${forUser}
+     GROUP BY e.task_id, t.title, t.status
+     ORDER BY minutes DESC`,
+    params
+  );
+  const { rows: byDay } = await db.query(
+    `SELECT to_char(a.date, 'YYYY-MM-DD') AS date, a.user_id, u.name AS user_name,
+            totals.worked_minutes, tracked.minutes AS tracked_minutes,
+            GREATEST(totals.worked_minutes - tracked.minutes, 0) AS untracked_minutes
+     FROM attendance a
+     JOIN users u ON u.id = a.user_id
+     ${SESSION_TOTALS}
+     CROSS JOIN LATERAL (
+       SELECT ${TOTAL_MINUTES} AS minutes
+       FROM task_time_entries e WHERE e.attendance_id = a.id
+     ) tracked
+     WHERE a.date BETWEEN $1 AND $2 ${forUser}
+     ORDER BY a.date DESC, u.name`,
+    params
+  );
+
+  const total = byTask.reduce((sum, row) => sum + row.minutes, 0);
+  return { from, to, total_minutes: total, by_task: byTask, by_day: byDay };
+}
+
+module.exports = {
+  ENTRY_COLUMNS, ENTRY_FROM, TOTAL_MINUTES,
+  getEntry, runningTimer, stopTimer, windowFor, overlapsEntry, timeReport,
+};
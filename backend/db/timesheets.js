@@ -0,0 +1,111 @@
+const { pool } = require('./index');
+const { SESSION_TOTALS } = require('./attendance');
+const { getSettings } = require('./settings');
+const { businessDate, shiftLength } = require('../utils/schedule');
+const { isoWeekday, addDays, addMonths } = require('../utils/time');
+
+const PERIODS = ['week', 'month'];
+
+// Date range of a timesheet period. Without `from` it is the current ISO week
+// (Mon–Sun) or calendar month around `today`; with `from` it runs for a week or
+// a month starting on that date.
+const periodRange = (period, from, today) => {
+  if (period === 'week') {
+    const start = from || addDays(today, 1 - isoWeekday(today));
+    return { from: start, to: addDays(start, 6) };
+  }
+  const start = from || `${today.slice(0, 8)}01`;
+  return { from: start, to: addDays(addMonths(start, 1), -1) };
+};
+
+// Per-day and total worked / expected / overtime minutes for each of `userIds`
+// over from..to, with late and absence counts, in the order given. One query
+// for all of them, so admin listings and exports stay cheap.
+//
+//  - expected  — the schedule's working time, its shift length less its
+//                `break_minutes` (or the org `expected_daily_minutes`), on working
+//                days the user is not on leave; like worked minutes it excludes breaks
+//  - overtime  — worked minutes above `overtime_threshold_minutes`, or above the
+//                day's expected minutes when that setting is null; on weekends and
+//                holidays every worked minute counts when `overtime_on_non_working_days`
+//  - absent    — a working day up to today with no attendance and no leave
+// Days before the user's account existed are not working days.
+async function timesheets(userIds, { from, to }, db = pool) {
+  const settings = await getSettings(db);
+  const { rows: users } = await db.query(
+    `SELECT u.id AS user_id, COALESCE(u.timezone, $2) AS timezone, s.*
+     FROM users u
+     LEFT JOIN work_schedules s ON s.id = u.schedule_id
+     WHERE u.id = ANY($1)`,
+    [userIds, settings.timezone]
+  );
+  const { rows } = await db.query(
+    `SELECT u.id AS user_id, to_char(d, 'YYYY-MM-DD') AS date,
+            (d::date >= u.created_at::date AND is_working_day(u.id, d::date)) AS working_day,
+            h.name AS holiday_name,
+            ld.leave_type,
+            a.id AS attendance_id, a.status,
+            CASE WHEN a.id IS NOT NULL THEN totals.worked_minutes ELSE 0 END AS worked_minutes
+     FROM users u
+     CROSS JOIN generate_series($2::date, $3::date, INTERVAL '1 day') d
+     LEFT JOIN attendance a  ON a.user_id = u.id AND a.date = d::date
+     LEFT JOIN holidays h    ON h.date = d::date
+     LEFT JOIN leave_days ld ON ld.user_id = u.id AND ld.date = d::date
+     ${SESSION_TOTALS}
+     WHERE u.id = ANY($1)
+     ORDER BY d`,
+    [userIds, from, to]
+  );
+
+  const usersById = new Map(users.map(u => [u.user_id, u]));
+  const rowsOf = new Map(userIds.map(id => [id, []]));
+  for (const row of rows) rowsOf.get(row.user_id).push(row);
+
+  return userIds.flatMap((userId) => {
+    const user = usersById.get(userId);
+    if (!user) return [];
+    const schedule = user.id ? user : null; // the s.* columns, all null without a schedule
+    const today = businessDate(schedule, user.timezone);
+    const dailyExpected = schedule
+      ? Math.max(0, shiftLength(schedule) - schedule.break_minutes)
+      : settings.expected_daily_minutes;
+
+    const days = rowsOf.get(userId).map(({ user_id, attendance_id, ...day }) => {
+      const expected = day.working_day && !day.leave_type ? dailyExpected : 0;
+      const overtime = !day.working_day && settings.overtime_on_non_working_days
+        ? day.worked_minutes
+        : Math.max(0, day.worked_minutes - (settings.overtime_threshold_minutes ?? expected));
+      return {
+        ...day,
+        expected_minutes: expected,
+        overtime_minutes: overtime,
+        late: day.status === 'late',
+        absent: day.working_day && !attendance_id && !day.leave_type && day.date <= today,
+      };
+    });
+
+    const sum = (key) => days.reduce((total, day) => total + day[key], 0);
+    return [{
+      user_id: userId,
+      from,
+      to,
+      days,
+      totals: {
+        worked_minutes: sum('worked_minutes'),
+        expected_minutes: sum('expected_minutes'),
+        overtime_minutes: sum('overtime_minutes'),
+        late_count: days.filter(d => d.late).length,
+        absence_count: days.filter(d => d.absent).length,
+        leave_days: days.filter(d => d.leave_type).length,
+      },
+    }];
+  });
+}
+
+// The timesheet of one user (see timesheets)
+async function timesheet(userId, range, db = pool) {
+  const [sheet] = await timesheets([userId], range, db);
+  return sheet;
+}
+
+module.exports = { PERIODS, periodRange, timesheets, timesheet };
@@ -0,0 +1,11 @@
+const { pool } = require('./index');
+const { getSetting } = require('./settings');
+
+// Effective timezone of any user — their own, else the org default.
+// (Request handlers already have it on req.user for the signed-in user.)
+async function getUserTimezone(userId, db = pool) {
+  const { rows } = await db.query('SELECT timezone FROM users WHERE id = $1', [userId]);
+  return rows[0]?.timezone || getSetting('timezone');
+}
+
+module.exports = { getUserTimezone };
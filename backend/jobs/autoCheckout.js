@@ -0,0 +1,67 @@
+const logger = require('../config/logger');
+const { getSettings } = require('../db/settings');
+const { notify } = require('../db/notifications');
+const { stopTimer } = require('../db/timeEntries');
+
+// Close attendance days that were never checked out.
+//
+// A day is stale once its cutoff has passed: for a user with a schedule,
+// `auto_checkout_grace_minutes` after the shift ends (the next day for an
+// overnight one), so staying late is not cut off at midnight; for anyone else,
+// the org's `auto_checkout_time` on its business date in the owner's timezone.
+// The day and any open session are closed at that cutoff (never before
+// check-in), the row is flagged `auto_closed`, and the user is prompted to submit
+// a correction with the real check-out time. Status is left as it was at
+// check-in. A task timer still running is stopped at the same cutoff.
+async function autoCheckout(client) {
+  const {
+    auto_checkout_time: cutoffTime, auto_checkout_grace_minutes: graceMinutes, timezone: orgTimezone,
+  } = await getSettings(client);
+
+  const { rows } = await client.query(
+    `SELECT a.id, a.user_id, a.date, cutoff.at AS closed_at
+     FROM attendance a
+     JOIN users u ON u.id = a.user_id
+     LEFT JOIN work_schedules ws ON ws.id = u.schedule_id
+     CROSS JOIN LATERAL (
+       SELECT GREATEST(
+         CASE WHEN ws.id IS NULL
+           THEN (a.date + $1::time) AT TIME ZONE COALESCE(u.timezone, $2)
+           ELSE ((a.date + CASE WHEN ws.end_time <= ws.start_time THEN 1 ELSE 0 END) + ws.end_time)
+             AT TIME ZONE COALESCE(u.timezone, $2) + make_interval(mins => $3)
+         END,
+         a.checked_in_at
+       ) AS at
+     ) cutoff
+     WHERE a.checked_out_at IS NULL AND cutoff.at <= NOW()
+     FOR UPDATE OF a SKIP LOCKED`,
+    [cutoffTime, orgTimezone, graceMinutes]
+  );
+
+  for (const record of rows) {
+    await client.query(
+      `UPDATE attendance_sessions SET ended_at = GREATEST($2, started_at)
+       WHERE attendance_id = $1 AND ended_at IS NULL`,
+      [record.id, record.closed_at]
+    );
+    await client.query(
+      `UPDATE attendance SET checked_out_at = $2, auto_closed = TRUE, auto_close_note = $3
+       WHERE id = $1`,
+      [record.id, record.closed_at,
+        'No check-out recorded — closed automatically at the cutoff']
+    );
+    await stopTimer(record.user_id, record.closed_at, client);
+    await notify(
+      record.user_id,
+      'auto_checkout',
+      `You did not check out on ${record.date}. Please submit a correction with your actual check-out time.`,
+      { attendance_id: record.id, date: record.date, closed_at: record.closed_at },
+      client
+    );
+  }
+
+  if (rows.length) logger.info('Auto-checkout closed open days', { count: rows.length });
+  return rows.length;
+}
+
+module.exports = { autoCheckout };
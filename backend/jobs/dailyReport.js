@@ -0,0 +1,42 @@
+const logger = require('../config/logger');
+const { getSettings } = require('../db/settings');
+const { notify } = require('../db/notifications');
+const { buildDailyReport, saveDailyReport, getDailyReport, reportCounts } = require('../db/reports');
+const { localDate, localMinutes, timeToMinutes } = require('../utils/time');
+
+// Generate today's absence / late report once the org's `daily_report_time` has
+// passed in the org timezone, store it, and let every active admin know. Runs at
+// most once per date — a report already stored (by an earlier run or an admin)
+// is left alone. A null `daily_report_time` turns the report off.
+async function dailyReport(client) {
+  const { daily_report_time: reportTime, timezone } = await getSettings(client);
+  if (!reportTime) return 0;
+
+  const now = new Date();
+  if (localMinutes(timezone, now) < timeToMinutes(reportTime)) return 0;
+
+  const date = localDate(timezone, now);
+  if (await getDailyReport(date, client)) return 0;
+
+  const report = await saveDailyReport(await buildDailyReport(date, client), null, client);
+  const counts = reportCounts(report);
+
+  const { rows: admins } = await client.query(
+    "SELECT id FROM users WHERE role = 'admin' AND is_active"
+  );
+  for (const admin of admins) {
+    await notify(
+      admin.id,
+      'daily_report',
+      `Daily report for ${date}: ${counts.absent} absent, ${counts.late} late, ` +
+        `${counts.open_sessions} checked in`,
+      { date, counts },
+      client
+    );
+  }
+
+  logger.info('Daily report generated', { date, ...counts });
+  return 1;
+}
+
+module.exports = { dailyReport };
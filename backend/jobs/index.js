@@ -0,0 +1,57 @@
+const { withTransaction } = require('../db');
+const logger = require('../config/logger');
+const { autoCheckout } = require('./autoCheckout');
+const { dailyReport } = require('./dailyReport');
+const { recurringTasks } = require('./recurringTasks');
+
+// Run `task(client)` every `intervalMs` inside a transaction that holds a Postgres
+// advisory lock keyed on the job name. When several backend instances share a
+// database, only the one that gets the lock does the work on a given tick.
+function scheduleJob(name, intervalMs, task) {
+  const run = async () => {
+    try {
+      const result = await withTransaction(async (client) => {
+        const { rows } = await client.query(
+          'SELECT pg_try_advisory_xact_lock(hashtext($1)) AS locked',
+          [name]
+        );
+        if (!rows[0].locked) return { skipped: true };
+        return { skipped: false, outcome: await task(client) };
+      });
+      if (result.skipped) logger.debug(`Job ${name} skipped — another instance holds the lock`);
+      return result;
+    } catch (err) {
+      logger.error(`Job ${name} failed`, { error: err.message });
+      return null;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  setImmediate(run);
+  return { run, stop: () => clearInterval(timer) };
+}
+
+function startJobs() {
+  if (process.env.JOBS_ENABLED === 'false') {
+    logger.info('Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+  scheduleJob(
+    'auto-checkout',
+    parseInt(process.env.AUTO_CHECKOUT_INTERVAL_MS, 10) || 5 * 60 * 1000,
+    autoCheckout
+  );
+  scheduleJob(
+    'daily-report',
+    parseInt(process.env.DAILY_REPORT_INTERVAL_MS, 10) || 5 * 60 * 1000,
+    dailyReport
+  );
+  scheduleJob(
+    'recurring-tasks',
+    parseInt(process.env.RECURRING_TASKS_INTERVAL_MS, 10) || 15 * 60 * 1000,
+    recurringTasks
+  );
+}
+
+module.exports = { scheduleJob, startJobs };
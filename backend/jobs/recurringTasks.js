@@ -0,0 +1,30 @@
+const logger = require('../config/logger');
+const { getSettings } = require('../db/settings');
+const { FINISHED_STATUSES, advanceSeries } = require('../db/tasks');
+const { localDate } = require('../utils/time');
+
+// Create the next occurrence of every running series whose latest task is
+// finished or overdue — the catch-up for due dates that pass without anyone
+// touching the task. Finishing a task through the API advances its series
+// straight away (see advanceSeries).
+async function recurringTasks(client) {
+  const { timezone } = await getSettings(client);
+  const { rows } = await client.query(
+    `SELECT s.id FROM task_series s
+     WHERE s.ended_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM tasks t
+         WHERE t.series_id = s.id AND t.due_date >= $1 AND t.status <> ALL($2::text[])
+       )`,
+    [localDate(timezone), FINISHED_STATUSES]
+  );
+
+  let created = 0;
+  for (const { id } of rows) {
+    if (await advanceSeries(id, client)) created += 1;
+  }
+  if (created) logger.info('Recurring tasks created', { count: created });
+  return created;
+}
+
+module.exports = { recurringTasks };
@@ -1,14 +1,17 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../db');
+const { getSetting } = require('../db/settings');
 
 const authenticate = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
     if (!token) return res.status(401).json({ success: false, message: 'No token' });
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const { rows } = await pool.query('SELECT id, name, email, role FROM users WHERE id = $1', [decoded.userId]);
+    const { rows } = await pool.query('SELECT id, name, email, role, timezone FROM users WHERE id = $1', [decoded.userId]);
     if (!rows.length) return res.status(401).json({ success: false, message: 'User not found' });
     req.user = rows[0];
+    // Effective timezone for every calendar-date calculation on this request
+    req.user.timezone = rows[0].timezone || await getSetting('timezone');
     next();
   } catch (err) {
     res.status(401).json({ success: false, message: 'Invalid token' });
@@ -0,0 +1,25 @@
+const { pool } = require('../db');
+const { hashDeviceKey } = require('../utils/kiosk');
+
+// Authenticates a registered kiosk device by the key it was issued
+// (Authorization: Bearer <device key>) and records when it was last seen.
+const authenticateKiosk = async (req, res, next) => {
+  try {
+    const key = req.headers.authorization?.split(' ')[1];
+    if (!key) return res.status(401).json({ success: false, message: 'No device key' });
+    const { rows } = await pool.query(
+      `UPDATE kiosk_devices k SET last_seen_at = NOW()
+       FROM sites s
+       WHERE s.id = k.site_id AND k.key_hash = $1 AND k.is_active
+       RETURNING k.id, k.name, k.site_id, s.name AS site_name`,
+      [hashDeviceKey(key)]
+    );
+    if (!rows.length) return res.status(401).json({ success: false, message: 'Unknown or disabled kiosk' });
+    req.kiosk = rows[0];
+    next();
+  } catch (err) {
+    res.status(401).json({ success: false, message: 'Invalid device key' });
+  }
+};
+
+module.exports = { authenticateKiosk };
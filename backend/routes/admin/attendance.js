@@ -0,0 +1,355 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { pool, queryStream } = require('../../db');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const logger = require('../../config/logger');
+const { getSetting } = require('../../db/settings');
+const { SESSION_TOTALS } = require('../../db/attendance');
+const { PERIODS, periodRange, timesheets } = require('../../db/timesheets');
+const { IMPORT_MATCHES, mapColumns, planPunchImport, applyPunchImport } = require('../../db/imports');
+const { parseCsv } = require('../../utils/csv');
+const {
+  EXPORT_FORMATS, EMPLOYEE_COLUMNS, ATTENDANCE_COLUMNS, TIMESHEET_COLUMNS, streamExport,
+} = require('../../utils/export');
+const { localDate, daysBetween } = require('../../utils/time');
+
+// All routes require an authenticated admin
+router.use(authenticate, requireRole('admin'));
+
+const STATUSES = ['present', 'late', 'half-day'];
+const ORIGINS = ['office', 'remote', 'unknown'];
+const MAX_SUMMARY_DAYS = 366;
+
+// ── GET /api/admin/attendance ────────────────────────────────────
+// Attendance across all users, filterable by user, date range, status, check-in
+// origin and whether the check-in was flagged by a site policy
+router.get(
+  '/',
+  [
+    query('user_id').optional().isUUID().withMessage('Invalid user ID'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    query('origin').optional().isIn(ORIGINS).withMessage('origin must be office, remote or unknown'),
+    query('flagged').optional().isBoolean().withMessage('flagged must be true or false'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    const { user_id, from, to, status, origin, flagged, page = 1, limit = 30 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+    let i = 1;
+
+    if (user_id) { conditions.push(`a.user_id = $${i++}`); params.push(user_id); }
+    if (from)    { conditions.push(`a.date >= $${i++}`);   params.push(from); }
+    if (to)      { conditions.push(`a.date <= $${i++}`);   params.push(to); }
+    if (status)  { conditions.push(`a.status = $${i++}`);  params.push(status); }
+    if (origin)  { conditions.push(`a.origin = $${i++}`);  params.push(origin); }
+    if (flagged) { conditions.push(`a.location_flagged = $${i++}`); params.push(flagged === 'true'); }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+      const countResult = await pool.query(
+        `SELECT COUNT(*) FROM attendance a ${where}`,
+        params
+      );
+
+      const { rows } = await pool.query(
+        `SELECT a.*, u.name AS user_name, u.email AS user_email,
+                totals.worked_minutes, totals.break_minutes
+         FROM attendance a
+         JOIN users u ON u.id = a.user_id
+         ${SESSION_TOTALS}
+         ${where}
+         ORDER BY a.date DESC, u.name ASC
+         LIMIT $${i} OFFSET $${i + 1}`,
+        [...params, limit, offset]
+      );
+
+      res.json({
+        success: true,
+        total: parseInt(countResult.rows[0].count, 10),
+        page,
+        limit,
+        records: rows,
+      });
+    } catch (err) {
+      logger.error('Admin attendance list error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/admin/attendance/summary ────────────────────────────
+// Per-day counts of present / late / half-day / on-leave / missing active users.
+// Only users for whom the date is a working day (see is_working_day) can be missing.
+router.get(
+  '/summary',
+  [
+    query('user_id').optional().isUUID().withMessage('Invalid user ID'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  ],
+  validate,
+  async (req, res) => {
+    const today = localDate(await getSetting('timezone'));
+    const { user_id, from = today, to = today } = req.query;
+
+    const days = daysBetween(from, to);
+    if (days < 0) {
+      return res.status(400).json({ success: false, message: 'from must not be after to' });
+    }
+    if (days >= MAX_SUMMARY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Range cannot exceed ${MAX_SUMMARY_DAYS} days`,
+      });
+    }
+
+    const params = [from, to];
+    const userFilter = user_id ? `AND id = $${params.push(user_id)}` : '';
+
+    try {
+      // Only users that existed and were active on a given day are counted
+      const { rows } = await pool.query(
+        `WITH days AS (
+           SELECT d::date AS date
+           FROM generate_series($1::date, $2::date, INTERVAL '1 day') d
+         ), staff AS (
+           SELECT id, created_at FROM users WHERE is_active ${userFilter}
+         )
+         SELECT to_char(days.date, 'YYYY-MM-DD')                       AS date,
+                h.name                                                 AS holiday,
+                COUNT(s.id)::int                                       AS headcount,
+                COUNT(a.id)::int                                       AS checked_in,
+                COUNT(a.id) FILTER (WHERE a.status = 'present')::int   AS present,
+                COUNT(a.id) FILTER (WHERE a.status = 'late')::int      AS late,
+                COUNT(a.id) FILTER (WHERE a.status = 'half-day')::int  AS half_day,
+                COUNT(ld.user_id) FILTER (WHERE a.id IS NULL)::int     AS on_leave,
+                COUNT(s.id) FILTER (
+                  WHERE a.id IS NULL AND ld.user_id IS NULL AND is_working_day(s.id, days.date)
+                )::int                                                 AS missing
+         FROM days
+         LEFT JOIN holidays h    ON h.date = days.date
+         LEFT JOIN staff s       ON s.created_at::date <= days.date
+         LEFT JOIN attendance a  ON a.user_id = s.id AND a.date = days.date
+         LEFT JOIN leave_days ld ON ld.user_id = s.id AND ld.date = days.date
+         GROUP BY days.date, h.name
+         ORDER BY days.date`,
+        params
+      );
+
+      res.json({ success: true, from, to, days: rows });
+    } catch (err) {
+      logger.error('Admin attendance summary error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/admin/attendance/timesheets ─────────────────────────
+// The same timesheet as GET /api/attendance/summary, for one user or for every
+// active user. The default period is the current week in the org timezone.
+router.get(
+  '/timesheets',
+  [
+    query('period').optional().isIn(PERIODS).withMessage('period must be week or month'),
+    query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('from must be a YYYY-MM-DD date'),
+    query('user_id').optional().isUUID().withMessage('Invalid user ID'),
+  ],
+  validate,
+  async (req, res) => {
+    const { period = 'week', from, user_id } = req.query;
+    try {
+      const range = periodRange(period, from, localDate(await getSetting('timezone')));
+
+      const params = [];
+      const userFilter = user_id ? `AND id = $${params.push(user_id)}` : '';
+      const { rows: users } = await pool.query(
+        `SELECT id, name, email FROM users WHERE is_active ${userFilter} ORDER BY name`,
+        params
+      );
+      if (user_id && !users.length) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      const sheets = await timesheets(users.map(u => u.id), range);
+      res.json({
+        success: true,
+        period,
+        ...range,
+        timesheets: sheets.map((sheet, idx) => ({ ...sheet, user_name: users[idx].name, user_email: users[idx].email })),
+      });
+    } catch (err) {
+      logger.error('Admin timesheets error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/admin/attendance/export?format=csv|xlsx ─────────────
+// Attendance records across all users as a download — same filters as the
+// listing, no paging, streamed by date then name
+router.get(
+  '/export',
+  [
+    query('format').optional().isIn(EXPORT_FORMATS).withMessage('format must be csv or xlsx'),
+    query('user_id').optional().isUUID().withMessage('Invalid user ID'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    query('origin').optional().isIn(ORIGINS).withMessage('origin must be office, remote or unknown'),
+    query('flagged').optional().isBoolean().withMessage('flagged must be true or false'),
+  ],
+  validate,
+  async (req, res) => {
+    const { format = 'csv', user_id, from, to, status, origin, flagged } = req.query;
+
+    const conditions = [];
+    const params = [];
+    let i = 1;
+
+    if (user_id) { conditions.push(`a.user_id = $${i++}`); params.push(user_id); }
+    if (from)    { conditions.push(`a.date >= $${i++}`);   params.push(from); }
+    if (to)      { conditions.push(`a.date <= $${i++}`);   params.push(to); }
+    if (status)  { conditions.push(`a.status = $${i++}`);  params.push(status); }
+    if (origin)  { conditions.push(`a.origin = $${i++}`);  params.push(origin); }
+    if (flagged) { conditions.push(`a.location_flagged = $${i++}`); params.push(flagged === 'true'); }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+      await streamExport(res, {
+        format,
+        filename: ['attendance_all', from, to].filter(Boolean).join('_'),
+        columns: [...EMPLOYEE_COLUMNS, ...ATTENDANCE_COLUMNS],
+        rows: queryStream(
+          `SELECT a.*, u.name AS user_name, u.email AS user_email,
+                  totals.worked_minutes, totals.break_minutes
+           FROM attendance a
+           JOIN users u ON u.id = a.user_id
+           ${SESSION_TOTALS}
+           ${where}
+           ORDER BY a.date, u.name`,
+          params
+        ),
+      });
+    } catch (err) {
+      logger.error('Admin attendance export error', { error: err.message });
+      if (res.headersSent) return res.destroy();
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/admin/attendance/timesheets/export?format=csv|xlsx ──
+// Per-day timesheet rows for one user or every active user
+router.get(
+  '/timesheets/export',
+  [
+    query('format').optional().isIn(EXPORT_FORMATS).withMessage('format must be csv or xlsx'),
+    query('period').optional().isIn(PERIODS).withMessage('period must be week or month'),
+    query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('from must be a YYYY-MM-DD date'),
+    query('user_id').optional().isUUID().withMessage('Invalid user ID'),
+  ],
+  validate,
+  async (req, res) => {
+    const { format = 'csv', period = 'week', from, user_id } = req.query;
+    try {
+      const range = periodRange(period, from, localDate(await getSetting('timezone')));
+
+      const params = [];
+      const userFilter = user_id ? `AND id = $${params.push(user_id)}` : '';
+      const { rows: users } = await pool.query(
+        `SELECT id, name, email FROM users WHERE is_active ${userFilter} ORDER BY name`,
+        params
+      );
+
+      const sheets = await timesheets(users.map(u => u.id), range);
+      await streamExport(res, {
+        format,
+        filename: `timesheets_${range.from}_${range.to}`,
+        columns: [...EMPLOYEE_COLUMNS, ...TIMESHEET_COLUMNS],
+        rows: sheets.flatMap((sheet, idx) =>
+          sheet.days.map(day => ({ ...day, user_name: users[idx].name, user_email: users[idx].email }))),
+      });
+    } catch (err) {
+      logger.error('Admin timesheet export error', { error: err.message });
+      if (res.headersSent) return res.destroy();
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── POST /api/admin/attendance/import?commit=true ────────────────
+// Body is a door-access punch log (Content-Type: text/csv), one punch per row.
+// Columns are found by header name, case-insensitively:
+//   email or employee_code  — who (override with match / user_column)
+//   timestamp, or date + time — when; local to the user unless it has an offset
+//   direction (optional)    — in / out (or entry / exit); without it punches
+//                             alternate in, out within each business date
+// Each in → out pair becomes a work session on its business date. Without
+// commit=true nothing is written and the response previews the result. Days
+// that already have a record or fall on approved leave come back as conflicts,
+// bad rows as errors — neither stops the rest of the file from importing.
+router.post(
+  '/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  [
+    query('commit').optional().isBoolean().withMessage('commit must be true or false'),
+    query('match').optional().isIn(IMPORT_MATCHES).withMessage('match must be email or employee_code'),
+    query('user_column').optional().trim().notEmpty(),
+    query('time_column').optional().trim().notEmpty(),
+    query('direction_column').optional().trim().notEmpty(),
+  ],
+  validate,
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ success: false, message: 'Expected a text/csv body' });
+    }
+
+    const [header, ...records] = parseCsv(req.body);
+    const { mapping, error } = mapColumns(header.fields, req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const commit = req.query.commit === 'true';
+    try {
+      const plan = await planPunchImport(records, mapping);
+      const result = commit ? await applyPunchImport(plan) : plan;
+
+      if (commit) {
+        logger.info('Punch log imported', {
+          adminId: req.user.id,
+          imported: result.days.length,
+          conflicts: result.conflicts.length,
+          errors: result.errors.length,
+        });
+      }
+      res.status(commit ? 201 : 200).json({
+        success: true,
+        committed: commit,
+        summary: {
+          rows: records.length,
+          days: result.days.length,
+          conflicts: result.conflicts.length,
+          errors: result.errors.length,
+        },
+        ...result,
+      });
+    } catch (err) {
+      logger.error('Punch import error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,238 @@
+const router = require('express').Router();
+const { body, param, query } = require('express-validator');
+const { pool, withTransaction } = require('../../db');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { getScheduleForUser } = require('../../db/schedules');
+const { getUserTimezone } = require('../../db/users');
+const { getDay, resetSessions } = require('../../db/attendance');
+const { classifyAttendance } = require('../../utils/schedule');
+const logger = require('../../config/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+// ── GET /api/admin/corrections ───────────────────────────────────
+// Correction requests across all users — defaults to the pending review queue
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled']),
+    query('user_id').optional().isUUID().withMessage('Invalid user ID'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    const { status = 'pending', user_id, page = 1, limit = 30 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = ['c.status = $1'];
+    const params = [status];
+    let i = 2;
+
+    if (user_id) { conditions.push(`c.user_id = $${i++}`); params.push(user_id); }
+
+    const where = conditions.join(' AND ');
+
+    try {
+      const countResult = await pool.query(
+        `SELECT COUNT(*) FROM attendance_corrections c WHERE ${where}`, params
+      );
+      const { rows } = await pool.query(
+        `SELECT c.*, u.name AS user_name, u.email AS user_email,
+                a.checked_in_at AS current_checked_in_at,
+                a.checked_out_at AS current_checked_out_at
+         FROM attendance_corrections c
+         JOIN users u ON u.id = c.user_id
+         LEFT JOIN attendance a ON a.user_id = c.user_id AND a.date = c.date
+         WHERE ${where}
+         ORDER BY c.created_at ASC
+         LIMIT $${i} OFFSET $${i + 1}`,
+        [...params, limit, offset]
+      );
+      res.json({
+        success: true,
+        total: parseInt(countResult.rows[0].count, 10),
+        page, limit,
+        corrections: rows,
+      });
+    } catch (err) {
+      logger.error('Admin corrections list error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/admin/corrections/history ───────────────────────────
+// Audit trail of values replaced by approved corrections
+router.get(
+  '/history',
+  [
+    query('user_id').optional().isUUID().withMessage('Invalid user ID'),
+    query('attendance_id').optional().isUUID().withMessage('Invalid attendance ID'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  ],
+  validate,
+  async (req, res) => {
+    const { user_id, attendance_id, from, to } = req.query;
+
+    const conditions = [];
+    const params = [];
+    let i = 1;
+
+    if (user_id)       { conditions.push(`a.user_id = $${i++}`); params.push(user_id); }
+    if (attendance_id) { conditions.push(`h.attendance_id = $${i++}`); params.push(attendance_id); }
+    if (from)          { conditions.push(`a.date >= $${i++}`); params.push(from); }
+    if (to)            { conditions.push(`a.date <= $${i++}`); params.push(to); }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+      const { rows } = await pool.query(
+        `SELECT h.*, a.user_id, a.date, u.name AS user_name,
+                c.reason, c.checked_in_at AS corrected_checked_in_at,
+                c.checked_out_at AS corrected_checked_out_at,
+                r.name AS changed_by_name
+         FROM attendance_history h
+         JOIN attendance a ON a.id = h.attendance_id
+         JOIN users u ON u.id = a.user_id
+         LEFT JOIN attendance_corrections c ON c.id = h.correction_id
+         LEFT JOIN users r ON r.id = h.changed_by
+         ${where}
+         ORDER BY h.changed_at DESC
+         LIMIT 500`,
+        params
+      );
+      res.json({ success: true, history: rows });
+    } catch (err) {
+      logger.error('Attendance history error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+const reviewValidators = [
+  param('id').isUUID().withMessage('Invalid correction ID'),
+  body('note').optional().trim().isLength({ max: 500 }),
+];
+
+// ── PATCH /api/admin/corrections/:id/approve ─────────────────────
+// Apply the proposed times: snapshot the current row into attendance_history,
+// rewrite in/out and sessions, and re-derive the status from the schedule
+router.patch('/:id/approve', reviewValidators, validate, async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT * FROM attendance_corrections WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+      if (!rows.length) return { error: 404, message: 'Correction not found' };
+      const correction = rows[0];
+      if (correction.status !== 'pending') {
+        return { error: 409, message: `Correction is already ${correction.status}` };
+      }
+
+      const existing = await client.query(
+        'SELECT * FROM attendance WHERE user_id = $1 AND date = $2 FOR UPDATE',
+        [correction.user_id, correction.date]
+      );
+      let record = existing.rows[0] || null;
+
+      const checkedIn = correction.checked_in_at || record?.checked_in_at;
+      const checkedOut = correction.checked_out_at || record?.checked_out_at;
+      if (!checkedIn || !checkedOut || checkedOut <= checkedIn) {
+        return { error: 409, message: 'Correction no longer fits the current record' };
+      }
+
+      const schedule = await getScheduleForUser(correction.user_id, client);
+      const timeZone = await getUserTimezone(correction.user_id, client);
+      const status = classifyAttendance(schedule, {
+        date: correction.date, checkedInAt: checkedIn, checkedOutAt: checkedOut, timeZone,
+      });
+
+      if (record) {
+        const sessions = await client.query(
+          `SELECT kind, started_at, ended_at FROM attendance_sessions
+           WHERE attendance_id = $1 ORDER BY started_at`,
+          [record.id]
+        );
+        await client.query(
+          `INSERT INTO attendance_history
+             (attendance_id, correction_id, previous_checked_in_at, previous_checked_out_at,
+              previous_status, previous_sessions, changed_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [record.id, correction.id, record.checked_in_at, record.checked_out_at,
+            record.status, JSON.stringify(sessions.rows), req.user.id]
+        );
+        await client.query(
+          `UPDATE attendance SET checked_in_at = $2, checked_out_at = $3, status = $4, auto_closed = FALSE
+           WHERE id = $1`,
+          [record.id, checkedIn, checkedOut, status]
+        );
+      } else {
+        const inserted = await client.query(
+          `INSERT INTO attendance (user_id, date, checked_in_at, checked_out_at, status)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [correction.user_id, correction.date, checkedIn, checkedOut, status]
+        );
+        record = inserted.rows[0];
+        await client.query(
+          `INSERT INTO attendance_history (attendance_id, correction_id, changed_by)
+           VALUES ($1, $2, $3)`,
+          [record.id, correction.id, req.user.id]
+        );
+      }
+
+      await resetSessions(record.id, checkedIn, checkedOut, client);
+
+      const updated = await client.query(
+        `UPDATE attendance_corrections
+         SET status = 'approved', attendance_id = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4
+         WHERE id = $1
+         RETURNING *`,
+        [correction.id, record.id, req.user.id, (req.body ?? {}).note || null]
+      );
+      return { correction: updated.rows[0], attendance: await getDay(record.id, client) };
+    });
+
+    if (result.error) {
+      return res.status(result.error).json({ success: false, message: result.message });
+    }
+    logger.info('Correction approved', { correctionId: result.correction.id, adminId: req.user.id });
+    res.json({ success: true, correction: result.correction, attendance: result.attendance });
+  } catch (err) {
+    // The user checked in for that date while the correction was being applied
+    if (err.code === '23505') {
+      return res.status(409).json({
+        success: false, message: 'Attendance was just recorded for that date — review the correction again',
+      });
+    }
+    logger.error('Approve correction error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── PATCH /api/admin/corrections/:id/reject ──────────────────────
+router.patch('/:id/reject', reviewValidators, validate, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE attendance_corrections
+       SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW(), review_note = $3
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [req.params.id, req.user.id, (req.body ?? {}).note || null]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ success: false, message: 'Pending correction not found' });
+    }
+    logger.info('Correction rejected', { correctionId: rows[0].id, adminId: req.user.id });
+    res.json({ success: true, correction: rows[0] });
+  } catch (err) {
+    logger.error('Reject correction error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
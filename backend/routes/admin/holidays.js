@@ -0,0 +1,152 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { pool, withTransaction } = require('../../db');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { parseHolidays } = require('../../utils/ical');
+const logger = require('../../config/logger');
+
+const router = express.Router();
+
+router.use(authenticate, requireRole('admin'));
+
+// ── GET /api/admin/holidays?year=2025 ────────────────────────────
+router.get(
+  '/',
+  [query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year')],
+  validate,
+  async (req, res) => {
+    const params = [];
+    const where = req.query.year
+      ? `WHERE EXTRACT(YEAR FROM date) = $${params.push(Number(req.query.year))}`
+      : '';
+    try {
+      const { rows } = await pool.query(`SELECT * FROM holidays ${where} ORDER BY date`, params);
+      res.json({ success: true, holidays: rows });
+    } catch (err) {
+      logger.error('List holidays error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── POST /api/admin/holidays ─────────────────────────────────────
+router.post(
+  '/',
+  [
+    body('date').isISO8601({ strict: true }).withMessage('Invalid date'),
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 255 }),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        'INSERT INTO holidays (date, name) VALUES ($1, $2) RETURNING *',
+        [req.body.date, req.body.name]
+      );
+      logger.info('Holiday created', { holidayId: rows[0].id, date: rows[0].date });
+      res.status(201).json({ success: true, holiday: rows[0] });
+    } catch (err) {
+      if (err.code === '23505') {
+        return res.status(409).json({ success: false, message: 'A holiday already exists on that date' });
+      }
+      logger.error('Create holiday error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── POST /api/admin/holidays/import ──────────────────────────────
+// Body is a raw iCalendar file (Content-Type: text/calendar). Dates that already
+// have a holiday are left untouched and reported as skipped.
+router.post(
+  '/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }),
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({ success: false, message: 'Expected a text/calendar (.ics) body' });
+    }
+
+    const { holidays, skipped } = parseHolidays(req.body);
+    try {
+      const imported = await withTransaction(async (client) => {
+        const rows = [];
+        for (const { date, name } of holidays) {
+          const result = await client.query(
+            `INSERT INTO holidays (date, name) VALUES ($1, $2)
+             ON CONFLICT (date) DO NOTHING
+             RETURNING *`,
+            [date, name.slice(0, 255)]
+          );
+          if (result.rows.length) rows.push(result.rows[0]);
+          else skipped.push({ name, date, reason: 'A holiday already exists on that date' });
+        }
+        return rows;
+      });
+
+      logger.info('Holidays imported', { imported: imported.length, skipped: skipped.length });
+      res.status(201).json({ success: true, imported, skipped });
+    } catch (err) {
+      logger.error('Import holidays error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/admin/holidays/:id ────────────────────────────────
+router.patch(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid holiday ID'),
+    body('date').optional().isISO8601({ strict: true }).withMessage('Invalid date'),
+    body('name').optional().trim().notEmpty().isLength({ max: 255 }),
+  ],
+  validate,
+  async (req, res) => {
+    const allowed = ['date', 'name'];
+    const updates = Object.keys(req.body).filter(k => allowed.includes(k));
+
+    if (!updates.length) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    const setClauses = updates.map((key, idx) => `${key} = $${idx + 1}`).join(', ');
+    const values = updates.map(k => req.body[k]);
+
+    try {
+      const { rows } = await pool.query(
+        `UPDATE holidays SET ${setClauses}
+         WHERE id = $${updates.length + 1}
+         RETURNING *`,
+        [...values, req.params.id]
+      );
+      if (!rows.length) return res.status(404).json({ success: false, message: 'Holiday not found' });
+      res.json({ success: true, holiday: rows[0] });
+    } catch (err) {
+      if (err.code === '23505') {
+        return res.status(409).json({ success: false, message: 'A holiday already exists on that date' });
+      }
+      logger.error('Update holiday error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── DELETE /api/admin/holidays/:id ───────────────────────────────
+router.delete(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid holiday ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const { rowCount } = await pool.query('DELETE FROM holidays WHERE id = $1', [req.params.id]);
+      if (!rowCount) return res.status(404).json({ success: false, message: 'Holiday not found' });
+      res.json({ success: true, message: 'Holiday deleted' });
+    } catch (err) {
+      logger.error('Delete holiday error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
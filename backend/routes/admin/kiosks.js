@@ -0,0 +1,142 @@
+const router = require('express').Router();
+const { body, param } = require('express-validator');
+const { pool } = require('../../db');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { generateDeviceKey, hashDeviceKey } = require('../../utils/kiosk');
+const logger = require('../../config/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+// Never select key_hash — the device key is only shown once, when it is issued
+const KIOSK_COLUMNS = `k.id, k.name, k.site_id, s.name AS site_name, k.is_active, k.last_seen_at,
+                       k.created_by, k.created_at, k.updated_at`;
+
+const getKiosk = async (id) => {
+  const { rows } = await pool.query(
+    `SELECT ${KIOSK_COLUMNS} FROM kiosk_devices k JOIN sites s ON s.id = k.site_id WHERE k.id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+};
+
+const idParam = param('id').isUUID().withMessage('Invalid kiosk ID');
+
+// ── GET /api/admin/kiosks ────────────────────────────────────────
+router.get('/', async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${KIOSK_COLUMNS}
+       FROM kiosk_devices k
+       JOIN sites s ON s.id = k.site_id
+       ORDER BY s.name, k.name`
+    );
+    res.json({ success: true, kiosks: rows });
+  } catch (err) {
+    logger.error('List kiosks error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/admin/kiosks ───────────────────────────────────────
+// Registers a device and returns its key once — enter it on the kiosk's /kiosk screen
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('site_id').isUUID().withMessage('Invalid site ID'),
+  ],
+  validate,
+  async (req, res) => {
+    const key = generateDeviceKey();
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO kiosk_devices (name, site_id, key_hash, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [req.body.name, req.body.site_id, hashDeviceKey(key), req.user.id]
+      );
+      logger.info('Kiosk registered', { kioskId: rows[0].id, userId: req.user.id });
+      res.status(201).json({ success: true, kiosk: await getKiosk(rows[0].id), device_key: key });
+    } catch (err) {
+      if (err.code === '23503') {
+        return res.status(404).json({ success: false, message: 'Site not found' });
+      }
+      logger.error('Register kiosk error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/admin/kiosks/:id ──────────────────────────────────
+// Rename, move to another site, or disable (is_active: false) a device
+router.patch(
+  '/:id',
+  [
+    idParam,
+    body('name').optional().trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('site_id').optional().isUUID().withMessage('Invalid site ID'),
+    body('is_active').optional().isBoolean({ strict: true }).withMessage('is_active must be a boolean'),
+  ],
+  validate,
+  async (req, res) => {
+    const allowed = ['name', 'site_id', 'is_active'];
+    const updates = Object.keys(req.body).filter(k => allowed.includes(k));
+
+    if (!updates.length) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    const setClauses = updates.map((key, idx) => `${key} = $${idx + 1}`).join(', ');
+    const values = updates.map(k => req.body[k]);
+
+    try {
+      const { rowCount } = await pool.query(
+        `UPDATE kiosk_devices SET ${setClauses} WHERE id = $${updates.length + 1}`,
+        [...values, req.params.id]
+      );
+      if (!rowCount) return res.status(404).json({ success: false, message: 'Kiosk not found' });
+      logger.info('Kiosk updated', { kioskId: req.params.id, userId: req.user.id });
+      res.json({ success: true, kiosk: await getKiosk(req.params.id) });
+    } catch (err) {
+      if (err.code === '23503') {
+        return res.status(404).json({ success: false, message: 'Site not found' });
+      }
+      logger.error('Update kiosk error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── POST /api/admin/kiosks/:id/rotate-key ────────────────────────
+// Issues a new device key; the old one stops working immediately
+router.post('/:id/rotate-key', [idParam], validate, async (req, res) => {
+  const key = generateDeviceKey();
+  try {
+    const { rowCount } = await pool.query(
+      'UPDATE kiosk_devices SET key_hash = $1 WHERE id = $2',
+      [hashDeviceKey(key), req.params.id]
+    );
+    if (!rowCount) return res.status(404).json({ success: false, message: 'Kiosk not found' });
+    logger.info('Kiosk key rotated', { kioskId: req.params.id, userId: req.user.id });
+    res.json({ success: true, kiosk: await getKiosk(req.params.id), device_key: key });
+  } catch (err) {
+    logger.error('Rotate kiosk key error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── DELETE /api/admin/kiosks/:id ─────────────────────────────────
+// Check-ins made at the kiosk keep their record (kiosk_id is set to null)
+router.delete('/:id', [idParam], validate, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query('DELETE FROM kiosk_devices WHERE id = $1', [req.params.id]);
+    if (!rowCount) return res.status(404).json({ success: false, message: 'Kiosk not found' });
+    res.json({ success: true, message: 'Kiosk deleted' });
+  } catch (err) {
+    logger.error('Delete kiosk error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
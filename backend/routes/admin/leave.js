@@ -0,0 +1,232 @@
+const router = require('express').Router();
+const { body, param, query } = require('express-validator');
+const { pool, withTransaction } = require('../../db');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const {
+  getBalances, leaveDaysByYear, drawBalances, refundBalances, attendanceOnLeaveDays,
+} = require('../../db/leave');
+const logger = require('../../config/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+// ── GET /api/admin/leave ─────────────────────────────────────────
+// Leave requests across all users — defaults to the pending review queue
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled']),
+    query('user_id').optional().isUUID().withMessage('Invalid user ID'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    const { status = 'pending', user_id, page = 1, limit = 30 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = ['l.status = $1'];
+    const params = [status];
+    let i = 2;
+
+    if (user_id) { conditions.push(`l.user_id = $${i++}`); params.push(user_id); }
+
+    const where = conditions.join(' AND ');
+
+    try {
+      const countResult = await pool.query(
+        `SELECT COUNT(*) FROM leave_requests l WHERE ${where}`, params
+      );
+      const { rows } = await pool.query(
+        `SELECT l.*, t.code AS leave_type, u.name AS user_name, u.email AS user_email
+         FROM leave_requests l
+         JOIN leave_types t ON t.id = l.leave_type_id
+         JOIN users u ON u.id = l.user_id
+         WHERE ${where}
+         ORDER BY l.start_date ASC
+         LIMIT $${i} OFFSET $${i + 1}`,
+        [...params, limit, offset]
+      );
+      res.json({
+        success: true,
+        total: parseInt(countResult.rows[0].count, 10),
+        page, limit,
+        requests: rows,
+      });
+    } catch (err) {
+      logger.error('Admin leave list error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+const reviewValidators = [
+  param('id').isUUID().withMessage('Invalid leave request ID'),
+  body('note').optional().trim().isLength({ max: 500 }),
+];
+
+// ── PATCH /api/admin/leave/:id/approve ───────────────────────────
+// Approve a pending request and draw the days from the user's yearly balance(s).
+// 409 if attendance is already recorded on one of its working days — correct
+// or delete that record first.
+router.patch('/:id/approve', reviewValidators, validate, async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT * FROM leave_requests WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+      if (!rows.length) return { error: 404, message: 'Leave request not found' };
+      const request = rows[0];
+      if (request.status !== 'pending') return { error: 409, message: `Request is already ${request.status}` };
+
+      // Recount in case the user's schedule changed since submission
+      const byYear = await leaveDaysByYear(request.user_id, request.start_date, request.end_date, client);
+      const days = byYear.reduce((sum, y) => sum + y.days, 0);
+      if (!days) return { error: 409, message: 'Range no longer contains working days' };
+
+      const worked = await attendanceOnLeaveDays(request.user_id, request.start_date, request.end_date, client);
+      if (worked.length) {
+        return { error: 409, message: `Attendance is already recorded on ${worked.join(', ')}` };
+      }
+
+      const { short } = await drawBalances(request.user_id, request.leave_type_id, byYear, client);
+      if (short) return { error: 409, message: `Insufficient balance for ${short}` };
+
+      const updated = await client.query(
+        `UPDATE leave_requests
+         SET status = 'approved', days = $2, days_by_year = $5,
+             reviewed_by = $3, reviewed_at = NOW(), review_note = $4
+         WHERE id = $1
+         RETURNING *`,
+        [request.id, days, req.user.id, (req.body ?? {}).note || null, JSON.stringify(byYear)]
+      );
+      return { request: updated.rows[0] };
+    });
+
+    if (result.error) {
+      return res.status(result.error).json({ success: false, message: result.message });
+    }
+    logger.info('Leave approved', { leaveId: result.request.id, adminId: req.user.id });
+    res.json({ success: true, request: result.request });
+  } catch (err) {
+    logger.error('Approve leave error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── PATCH /api/admin/leave/:id/reject ────────────────────────────
+router.patch('/:id/reject', reviewValidators, validate, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE leave_requests
+       SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW(), review_note = $3
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [req.params.id, req.user.id, (req.body ?? {}).note || null]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ success: false, message: 'Pending leave request not found' });
+    }
+    logger.info('Leave rejected', { leaveId: rows[0].id, adminId: req.user.id });
+    res.json({ success: true, request: rows[0] });
+  } catch (err) {
+    logger.error('Reject leave error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── PATCH /api/admin/leave/:id/revoke ────────────────────────────
+// Cancel approved leave, started or not, and give its days back to the balance
+router.patch('/:id/revoke', reviewValidators, validate, async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT * FROM leave_requests WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+      if (!rows.length) return { error: 404, message: 'Leave request not found' };
+      const request = rows[0];
+      if (request.status !== 'approved') return { error: 409, message: 'Only approved leave can be revoked' };
+
+      await refundBalances(request, client);
+      const updated = await client.query(
+        `UPDATE leave_requests
+         SET status = 'cancelled', reviewed_by = $2, reviewed_at = NOW(), review_note = $3
+         WHERE id = $1
+         RETURNING *`,
+        [request.id, req.user.id, (req.body ?? {}).note || null]
+      );
+      return { request: updated.rows[0] };
+    });
+
+    if (result.error) {
+      return res.status(result.error).json({ success: false, message: result.message });
+    }
+    logger.info('Leave revoked', { leaveId: result.request.id, adminId: req.user.id });
+    res.json({ success: true, request: result.request });
+  } catch (err) {
+    logger.error('Revoke leave error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── GET /api/admin/leave/balances?user_id=...&year=2025 ──────────
+router.get(
+  '/balances',
+  [
+    query('user_id').isUUID().withMessage('Invalid user ID'),
+    query('year').isInt({ min: 2000, max: 2100 }).withMessage('Invalid year').toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    const year = Number(req.query.year);
+    try {
+      const balances = await getBalances(req.query.user_id, year);
+      res.json({ success: true, year, balances });
+    } catch (err) {
+      if (err.code === '23503') {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      logger.error('Admin leave balances error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/admin/leave/balances ──────────────────────────────
+// Override a user's yearly allocation for one leave type (null = unlimited)
+router.patch(
+  '/balances',
+  [
+    body('user_id').isUUID().withMessage('Invalid user ID'),
+    body('leave_type').trim().notEmpty().withMessage('leave_type is required'),
+    body('year').isInt({ min: 2000, max: 2100 }).withMessage('Invalid year').toInt(),
+    body('allocated').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    const { user_id, leave_type, year, allocated = null } = req.body;
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO leave_balances (user_id, leave_type_id, year, allocated)
+         SELECT $1, id, $3, $4 FROM leave_types WHERE code = $2
+         ON CONFLICT (user_id, leave_type_id, year)
+         DO UPDATE SET allocated = EXCLUDED.allocated, updated_at = NOW()
+         RETURNING *`,
+        [user_id, leave_type, year, allocated]
+      );
+      if (!rows.length) return res.status(404).json({ success: false, message: 'Leave type not found' });
+      logger.info('Leave allocation set', { userId: user_id, leave_type, year, adminId: req.user.id });
+      res.json({ success: true, balance: rows[0] });
+    } catch (err) {
+      if (err.code === '23503') {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      logger.error('Set leave allocation error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
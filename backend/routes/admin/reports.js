@@ -0,0 +1,148 @@
+const router = require('express').Router();
+const { body, query } = require('express-validator');
+const { pool } = require('../../db');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { getSetting } = require('../../db/settings');
+const { buildDailyReport, saveDailyReport, getDailyReport, reportCounts } = require('../../db/reports');
+const { timeReport } = require('../../db/timeEntries');
+const { localDate, addDays, daysBetween } = require('../../utils/time');
+const logger = require('../../config/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+const MAX_HISTORY_DAYS = 366;
+
+const futureDate = (res) =>
+  res.status(400).json({ success: false, message: 'Reports cannot be run for future dates' });
+
+// ── GET /api/admin/reports/daily?date=2025-01-15 ─────────────────
+// The stored report for a date (default: today in the org timezone). A date with
+// no stored report is built live and returned with `stored: false`, not saved.
+router.get(
+  '/daily',
+  [query('date').optional().isISO8601({ strict: true }).withMessage('date must be a valid date')],
+  validate,
+  async (req, res) => {
+    try {
+      const today = localDate(await getSetting('timezone'));
+      const { date = today } = req.query;
+      if (date > today) return futureDate(res);
+
+      const stored = await getDailyReport(date);
+      const report = stored ? { ...stored, stored: true } : { ...await buildDailyReport(date), stored: false };
+      res.json({ success: true, report: { ...report, counts: reportCounts(report) } });
+    } catch (err) {
+      logger.error('Daily report error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── POST /api/admin/reports/daily ────────────────────────────────
+// Build and store the report for a date now, replacing any stored one
+router.post(
+  '/daily',
+  [body('date').optional().isISO8601({ strict: true }).withMessage('date must be a valid date')],
+  validate,
+  async (req, res) => {
+    try {
+      const today = localDate(await getSetting('timezone'));
+      const { date = today } = req.body ?? {};
+      if (date > today) return futureDate(res);
+
+      const report = await saveDailyReport(await buildDailyReport(date), req.user.id);
+      logger.info('Daily report generated', { date, userId: req.user.id });
+      res.status(201).json({ success: true, report: { ...report, stored: true, counts: reportCounts(report) } });
+    } catch (err) {
+      logger.error('Generate daily report error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/admin/reports/daily/history?from=...&to=... ─────────
+// Headline counts of the stored reports in a range (default: the last 30 days)
+router.get(
+  '/daily/history',
+  [
+    query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('from must be a YYYY-MM-DD date'),
+    query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('to must be a YYYY-MM-DD date'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const today = localDate(await getSetting('timezone'));
+      const { from = addDays(today, -29), to = today } = req.query;
+
+      const days = daysBetween(from, to);
+      if (days < 0) {
+        return res.status(400).json({ success: false, message: 'from must not be after to' });
+      }
+      if (days >= MAX_HISTORY_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `Range cannot exceed ${MAX_HISTORY_DAYS} days`,
+        });
+      }
+
+      const { rows } = await pool.query(
+        `SELECT to_char(r.date, 'YYYY-MM-DD') AS date,
+                jsonb_array_length(r.absent)        AS absent,
+                jsonb_array_length(r.late)          AS late,
+                jsonb_array_length(r.open_sessions) AS open_sessions,
+                r.generated_by, u.name AS generated_by_name, r.generated_at
+         FROM daily_reports r
+         LEFT JOIN users u ON u.id = r.generated_by
+         WHERE r.date BETWEEN $1 AND $2
+         ORDER BY r.date DESC`,
+        [from, to]
+      );
+      res.json({ success: true, from, to, reports: rows });
+    } catch (err) {
+      logger.error('Daily report history error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/admin/reports/time?from=...&to=...&user_id=... ──────
+// Tracked task time per task and per attendance day (default: the last 30 days),
+// for one user or, without `user_id`, everyone (days listed per user)
+router.get(
+  '/time',
+  [
+    query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('from must be a YYYY-MM-DD date'),
+    query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('to must be a YYYY-MM-DD date'),
+    query('user_id').optional().isUUID().withMessage('Invalid user ID'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const today = localDate(await getSetting('timezone'));
+      const { from = addDays(today, -29), to = today, user_id } = req.query;
+
+      const days = daysBetween(from, to);
+      if (days < 0) {
+        return res.status(400).json({ success: false, message: 'from must not be after to' });
+      }
+      if (days >= MAX_HISTORY_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `Range cannot exceed ${MAX_HISTORY_DAYS} days`,
+        });
+      }
+
+      res.json({ success: true, report: await timeReport({ userId: user_id, from, to }) });
+    } catch (err) {
+      logger.error('Time report error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const router = require('express').Router();
+const { body, param } = require('express-validator');
+const { pool } = require('../../db');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const logger = require('../../config/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/; // HH:MM, 24h
+
+const scheduleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    field('start_time').matches(TIME_RE).withMessage('start_time must be HH:MM'),
+    field('end_time').matches(TIME_RE).withMessage('end_time must be HH:MM'),
+    body('grace_minutes').optional().isInt({ min: 0, max: 720 }).toInt(),
+    body('break_minutes').optional().isInt({ min: 0, max: 720 }).toInt(),
+    body('half_day_cutoff').optional({ values: 'null' }).matches(TIME_RE)
+      .withMessage('half_day_cutoff must be HH:MM'),
+    body('working_days').optional().isArray({ min: 1, max: 7 })
+      .withMessage('working_days must be a non-empty array'),
+    body('working_days.*').isInt({ min: 1, max: 7 }).withMessage('Weekdays are 1 (Mon) to 7 (Sun)').toInt(),
+  ];
+};
+
+// ── GET /api/admin/schedules ─────────────────────────────────────
+router.get('/', async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT s.*, COUNT(u.id)::int AS user_count
+       FROM work_schedules s
+       LEFT JOIN users u ON u.schedule_id = s.id
+       GROUP BY s.id
+       ORDER BY s.name`
+    );
+    res.json({ success: true, schedules: rows });
+  } catch (err) {
+    logger.error('List schedules error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/admin/schedules ────────────────────────────────────
+router.post('/', scheduleValidators(false), validate, async (req, res) => {
+  const {
+    name, start_time, end_time, grace_minutes = 0, break_minutes = 0,
+    half_day_cutoff, working_days = [1, 2, 3, 4, 5],
+  } = req.body;
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO work_schedules
+         (name, start_time, end_time, grace_minutes, break_minutes, half_day_cutoff, working_days)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [name, start_time, end_time, grace_minutes, break_minutes, half_day_cutoff || null, working_days]
+    );
+    logger.info('Schedule created', { scheduleId: rows[0].id, userId: req.user.id });
+    res.status(201).json({ success: true, schedule: rows[0] });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, message: 'Schedule name already exists' });
+    }
+    logger.error('Create schedule error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── PATCH /api/admin/schedules/:id ───────────────────────────────
+router.patch(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid schedule ID'), ...scheduleValidators(true)],
+  validate,
+  async (req, res) => {
+    const allowed = [
+      'name', 'start_time', 'end_time', 'grace_minutes', 'break_minutes', 'half_day_cutoff', 'working_days',
+    ];
+    const updates = Object.keys(req.body).filter(k => allowed.includes(k));
+
+    if (!updates.length) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    const setClauses = updates.map((key, idx) => `${key} = $${idx + 1}`).join(', ');
+    const values = updates.map(k => req.body[k]);
+
+    try {
+      const { rows } = await pool.query(
+        `UPDATE work_schedules SET ${setClauses}
+         WHERE id = $${updates.length + 1}
+         RETURNING *`,
+        [...values, req.params.id]
+      );
+      if (!rows.length) return res.status(404).json({ success: false, message: 'Schedule not found' });
+      logger.info('Schedule updated', { scheduleId: rows[0].id });
+      res.json({ success: true, schedule: rows[0] });
+    } catch (err) {
+      if (err.code === '23505') {
+        return res.status(409).json({ success: false, message: 'Schedule name already exists' });
+      }
+      logger.error('Update schedule error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── DELETE /api/admin/schedules/:id ──────────────────────────────
+// Assigned users fall back to "no schedule" (ON DELETE SET NULL)
+router.delete(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid schedule ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const { rowCount } = await pool.query('DELETE FROM work_schedules WHERE id = $1', [req.params.id]);
+      if (!rowCount) return res.status(404).json({ success: false, message: 'Schedule not found' });
+      res.json({ success: true, message: 'Schedule deleted' });
+    } catch (err) {
+      logger.error('Delete schedule error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const router = require('express').Router();
+const { body } = require('express-validator');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { getSettings, updateSettings } = require('../../db/settings');
+const { isValidTimeZone } = require('../../utils/time');
+const logger = require('../../config/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/; // HH:MM, 24h
+const isDayMinutes = (v) => Number.isInteger(v) && v >= 0 && v <= 24 * 60;
+
+// Validators double as the whitelist of settings an admin may change
+const settingValidators = {
+  timezone: body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone'),
+  working_days: body('working_days').optional()
+    .custom(days => Array.isArray(days) && days.length > 0 &&
+      days.every(d => Number.isInteger(d) && d >= 1 && d <= 7))
+    .withMessage('working_days must be ISO weekdays, 1 (Mon) to 7 (Sun)'),
+  auto_checkout_time: body('auto_checkout_time').optional()
+    .matches(TIME_RE).withMessage('auto_checkout_time must be HH:MM'),
+  auto_checkout_grace_minutes: body('auto_checkout_grace_minutes').optional()
+    .custom(isDayMinutes).withMessage('auto_checkout_grace_minutes must be 0 to 1440'),
+  daily_report_time: body('daily_report_time').optional()
+    .custom(v => v === null || TIME_RE.test(v))
+    .withMessage('daily_report_time must be HH:MM, or null to turn the daily report off'),
+  expected_daily_minutes: body('expected_daily_minutes').optional()
+    .custom(isDayMinutes).withMessage('expected_daily_minutes must be 0 to 1440'),
+  overtime_threshold_minutes: body('overtime_threshold_minutes').optional()
+    .custom(v => v === null || isDayMinutes(v))
+    .withMessage('overtime_threshold_minutes must be 0 to 1440, or null to use expected minutes'),
+  overtime_on_non_working_days: body('overtime_on_non_working_days').optional()
+    .custom(v => typeof v === 'boolean').withMessage('overtime_on_non_working_days must be a boolean'),
+  checklist_autocomplete: body('checklist_autocomplete').optional()
+    .custom(v => typeof v === 'boolean').withMessage('checklist_autocomplete must be a boolean'),
+};
+
+// ── GET /api/admin/settings ──────────────────────────────────────
+router.get('/', async (_req, res) => {
+  try {
+    res.json({ success: true, settings: await getSettings() });
+  } catch (err) {
+    logger.error('Get settings error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── PATCH /api/admin/settings ────────────────────────────────────
+router.patch('/', Object.values(settingValidators), validate, async (req, res) => {
+  const updates = Object.fromEntries(
+    Object.entries(req.body ?? {}).filter(([key]) => key in settingValidators)
+  );
+
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ success: false, message: 'No valid fields to update' });
+  }
+
+  try {
+    const settings = await updateSettings(updates);
+    logger.info('Settings updated', { userId: req.user.id, keys: Object.keys(updates) });
+    res.json({ success: true, settings });
+  } catch (err) {
+    logger.error('Update settings error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const router = require('express').Router();
+const { body, param } = require('express-validator');
+const { pool } = require('../../db');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const logger = require('../../config/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+const ENFORCEMENTS = ['reject', 'flag'];
+
+const siteValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('ip_ranges').optional().isArray().withMessage('ip_ranges must be an array of CIDR ranges'),
+    body('ip_ranges.*').isIPRange().withMessage('ip_ranges must contain CIDR ranges, e.g. 203.0.113.0/24'),
+    body('latitude').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+    body('longitude').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+    body('radius_meters').optional({ values: 'null' }).isInt({ min: 1, max: 100000 })
+      .withMessage('radius_meters must be 1 to 100000').toInt(),
+    body('enforcement').optional().isIn(ENFORCEMENTS).withMessage('enforcement must be reject or flag'),
+    body('require_kiosk').optional().isBoolean({ strict: true }).withMessage('require_kiosk must be a boolean'),
+  ];
+};
+
+// Map constraint / input errors raised by Postgres to a client response
+const siteError = (err, res) => {
+  if (err.code === '23505') {
+    return res.status(409).json({ success: false, message: 'Site name already exists' });
+  }
+  if (err.code === '23514') {
+    return res.status(400).json({
+      success: false,
+      message: 'A site needs ip_ranges, a complete geofence (latitude, longitude and radius_meters) or require_kiosk',
+    });
+  }
+  if (err.code === '22P02') {
+    // e.g. 10.0.0.1/24 — a cidr cannot have bits set right of the mask
+    return res.status(400).json({ success: false, message: 'Invalid CIDR range — use the network address' });
+  }
+  return null;
+};
+
+// ── GET /api/admin/sites ─────────────────────────────────────────
+router.get('/', async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT s.*, COUNT(u.id)::int AS user_count,
+              (SELECT COUNT(*)::int FROM kiosk_devices k WHERE k.site_id = s.id) AS kiosk_count
+       FROM sites s
+       LEFT JOIN users u ON u.site_id = s.id
+       GROUP BY s.id
+       ORDER BY s.name`
+    );
+    res.json({ success: true, sites: rows });
+  } catch (err) {
+    logger.error('List sites error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/admin/sites ────────────────────────────────────────
+router.post('/', siteValidators(false), validate, async (req, res) => {
+  const {
+    name, ip_ranges = [], latitude = null, longitude = null, radius_meters = null, enforcement = 'reject',
+    require_kiosk = false,
+  } = req.body;
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO sites (name, ip_ranges, latitude, longitude, radius_meters, enforcement, require_kiosk)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [name, ip_ranges, latitude, longitude, radius_meters, enforcement, require_kiosk]
+    );
+    logger.info('Site created', { siteId: rows[0].id, userId: req.user.id });
+    res.status(201).json({ success: true, site: rows[0] });
+  } catch (err) {
+    if (siteError(err, res)) return;
+    logger.error('Create site error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── PATCH /api/admin/sites/:id ───────────────────────────────────
+// Send latitude, longitude and radius_meters as null together to drop the geofence
+router.patch(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid site ID'), ...siteValidators(true)],
+  validate,
+  async (req, res) => {
+    const allowed = ['name', 'ip_ranges', 'latitude', 'longitude', 'radius_meters', 'enforcement', 'require_kiosk'];
+    const updates = Object.keys(req.body).filter(k => allowed.includes(k));
+
+    if (!updates.length) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    const setClauses = updates.map((key, idx) => `${key} = $${idx + 1}`).join(', ');
+    const values = updates.map(k => req.body[k]);
+
+    try {
+      const { rows } = await pool.query(
+        `UPDATE sites SET ${setClauses}
+         WHERE id = $${updates.length + 1}
+         RETURNING *`,
+        [...values, req.params.id]
+      );
+      if (!rows.length) return res.status(404).json({ success: false, message: 'Site not found' });
+      logger.info('Site updated', { siteId: rows[0].id });
+      res.json({ success: true, site: rows[0] });
+    } catch (err) {
+      if (siteError(err, res)) return;
+      logger.error('Update site error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── DELETE /api/admin/sites/:id ──────────────────────────────────
+// Assigned users fall back to "no policy" (ON DELETE SET NULL); its kiosks are removed
+router.delete(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid site ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const { rowCount } = await pool.query('DELETE FROM sites WHERE id = $1', [req.params.id]);
+      if (!rowCount) return res.status(404).json({ success: false, message: 'Site not found' });
+      res.json({ success: true, message: 'Site deleted' });
+    } catch (err) {
+      logger.error('Delete site error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
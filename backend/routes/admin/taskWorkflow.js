@@ -0,0 +1,68 @@
+const router = require('express').Router();
+const { body } = require('express-validator');
+const { withTransaction } = require('../../db');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { TASK_STATUSES, listTransitions } = require('../../db/tasks');
+const logger = require('../../config/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+// ── GET /api/admin/task-workflow ─────────────────────────────────
+router.get('/', async (_req, res) => {
+  try {
+    res.json({ success: true, statuses: TASK_STATUSES, transitions: await listTransitions() });
+  } catch (err) {
+    logger.error('Get task workflow error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── PATCH /api/admin/task-workflow ───────────────────────────────
+// Replace the whole set of allowed status changes. Leaving out every transition
+// into and out of 'review' takes that step out of the workflow; tasks already
+// in a status with no way out stay there until an admin adds one.
+router.patch(
+  '/',
+  [
+    body('transitions').isArray().withMessage('transitions must be an array'),
+    body('transitions.*.from_status').isIn(TASK_STATUSES).withMessage('Invalid from_status'),
+    body('transitions.*.to_status').isIn(TASK_STATUSES).withMessage('Invalid to_status'),
+    body('transitions.*.admin_only').optional().isBoolean({ strict: true })
+      .withMessage('admin_only must be a boolean'),
+  ],
+  validate,
+  async (req, res) => {
+    const { transitions } = req.body;
+    const pairs = transitions.map(t => `${t.from_status}→${t.to_status}`);
+    if (transitions.some(t => t.from_status === t.to_status)) {
+      return res.status(400).json({ success: false, message: 'A transition must change the status' });
+    }
+    if (new Set(pairs).size !== pairs.length) {
+      return res.status(400).json({ success: false, message: 'Each transition may appear only once' });
+    }
+
+    try {
+      const rows = await withTransaction(async (client) => {
+        await client.query('DELETE FROM task_status_transitions');
+        await client.query(
+          `INSERT INTO task_status_transitions (from_status, to_status, admin_only)
+           SELECT * FROM unnest($1::text[], $2::text[], $3::boolean[])`,
+          [
+            transitions.map(t => t.from_status),
+            transitions.map(t => t.to_status),
+            transitions.map(t => t.admin_only ?? false),
+          ]
+        );
+        return listTransitions(client);
+      });
+      logger.info('Task workflow updated', { userId: req.user.id, transitions: rows.length });
+      res.json({ success: true, statuses: TASK_STATUSES, transitions: rows });
+    } catch (err) {
+      logger.error('Update task workflow error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
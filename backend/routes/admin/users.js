@@ -0,0 +1,79 @@
+const router = require('express').Router();
+const { body, param } = require('express-validator');
+const { pool } = require('../../db');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { isValidTimeZone } = require('../../utils/time');
+const logger = require('../../config/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+const USER_COLUMNS =
+  'u.id, u.name, u.email, u.role, u.is_active, u.timezone, u.schedule_id, u.site_id, u.employee_code, u.created_at';
+
+// ── GET /api/admin/users ─────────────────────────────────────────
+router.get('/', async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${USER_COLUMNS}, s.name AS schedule_name, site.name AS site_name
+       FROM users u
+       LEFT JOIN work_schedules s ON s.id = u.schedule_id
+       LEFT JOIN sites site ON site.id = u.site_id
+       ORDER BY u.name`
+    );
+    res.json({ success: true, users: rows });
+  } catch (err) {
+    logger.error('List users error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── PATCH /api/admin/users/:id ───────────────────────────────────
+// Assign a work schedule, check-in site, timezone or employee code; null clears the assignment
+router.patch(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid user ID'),
+    body('schedule_id').optional({ values: 'null' }).isUUID().withMessage('Invalid schedule ID'),
+    body('site_id').optional({ values: 'null' }).isUUID().withMessage('Invalid site ID'),
+    body('timezone').optional({ values: 'null' }).custom(isValidTimeZone).withMessage('Invalid timezone'),
+    body('employee_code').optional({ values: 'null' }).trim().notEmpty().isLength({ max: 50 })
+      .withMessage('employee_code must be 1-50 characters'),
+  ],
+  validate,
+  async (req, res) => {
+    const allowed = ['schedule_id', 'site_id', 'timezone', 'employee_code'];
+    const updates = Object.keys(req.body).filter(k => allowed.includes(k));
+
+    if (!updates.length) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    const setClauses = updates.map((key, idx) => `${key} = $${idx + 1}`).join(', ');
+    const values = updates.map(k => req.body[k]);
+
+    try {
+      const { rows } = await pool.query(
+        `UPDATE users u SET ${setClauses}
+         WHERE u.id = $${updates.length + 1}
+         RETURNING ${USER_COLUMNS}`,
+        [...values, req.params.id]
+      );
+      if (!rows.length) return res.status(404).json({ success: false, message: 'User not found' });
+      logger.info('User updated by admin', { userId: rows[0].id, adminId: req.user.id, fields: updates });
+      res.json({ success: true, user: rows[0] });
+    } catch (err) {
+      if (err.code === '23503') {
+        const message = err.constraint === 'users_site_id_fkey' ? 'Site not found' : 'Schedule not found';
+        return res.status(404).json({ success: false, message });
+      }
+      if (err.code === '23505') {
+        return res.status(409).json({ success: false, message: 'Employee code is already in use' });
+      }
+      logger.error('Admin update user error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
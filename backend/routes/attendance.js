@@ -1,35 +1,113 @@
 const router = require('express').Router();
 const { body, query } = require('express-validator');
-const { pool } = require('../db');
+const { pool, withTransaction, queryStream } = require('../db');
 const { authenticate } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const logger = require('../config/logger');
+const { businessDate, classifyAttendance } = require('../utils/schedule');
+const { daysBetween } = require('../utils/time');
+const { getScheduleForUser } = require('../db/schedules');
+const { findLeaveDay } = require('../db/leave');
+const { checkInLocation } = require('../db/sites');
+const { normalizeIp } = require('../utils/geo');
+const { verifyKioskCode } = require('../utils/kiosk');
+const { PERIODS, periodRange, timesheet } = require('../db/timesheets');
+const { stopTimer } = require('../db/timeEntries');
+const { EXPORT_FORMATS, ATTENDANCE_COLUMNS, TIMESHEET_COLUMNS, streamExport } = require('../utils/export');
+const {
+  BREAK_KINDS, SESSION_TOTALS, HISTORY_ENTRIES, getDay, findOpenDay, findOpenSession, openSession, closeSession,
+} = require('../db/attendance');
 
 // All routes require auth
 router.use(authenticate);
 
+// Browser coordinates and a scanned kiosk code, sent to check in or resume work
+const locationRules = [
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+  body('kiosk_token').optional().isString().withMessage('Invalid kiosk code'),
+];
+
+// Check the request against the user's site policy (see db/sites.js). Sends the
+// 403 and returns null when it is refused, else returns the location.
+const siteLocation = async (req, res) => {
+  const { latitude = null, longitude = null, kiosk_token } = req.body ?? {};
+  const kioskId = kiosk_token ? verifyKioskCode(kiosk_token) : null;
+  if (kiosk_token && !kioskId) {
+    res.status(403).json({ success: false, message: 'Kiosk code is invalid or expired — scan the current code' });
+    return null;
+  }
+
+  const location = await checkInLocation(req.user.id, { ip: req.ip, latitude, longitude, kioskId });
+  if (!location.allowed) {
+    res.status(403).json({
+      success: false,
+      message: location.site.require_kiosk
+        ? `Check-in at ${location.site.name} requires scanning the kiosk code`
+        : `Check-in is only allowed from ${location.site.name}`,
+    });
+    return null;
+  }
+  if (location.flagged) {
+    logger.warn('Check-in outside site', { userId: req.user.id, siteId: location.site.id, ip: req.ip });
+  }
+  return location;
+};
+
 // ── POST /api/attendance/checkin ─────────────────────────────────
-// Mark attendance for today — one record per user per day (enforced by DB unique constraint)
+// Mark attendance for the current shift — one record per user per business date
+// (enforced by DB unique constraint). The business date is today in the user's
+// timezone, or yesterday for the early hours of an overnight shift.
+// Opens the first work session. Status is derived from the user's work schedule,
+// never taken from the client. The request is checked against the user's site
+// policy (client IP, plus browser coordinates or a scanned kiosk code when sent)
+// and the row records where it came from — see db/sites.js.
 router.post(
   '/checkin',
   [
-    body('status').optional().isIn(['present', 'late', 'half-day']).withMessage('Invalid status'),
+    body('status').not().exists().withMessage('Status is determined by the server'),
     body('notes').optional().trim().isLength({ max: 500 }),
+    ...locationRules,
   ],
   validate,
   async (req, res) => {
-    const { status = 'present', notes } = req.body;
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD in UTC
+    const { notes, latitude = null, longitude = null } = req.body;
+    const now = new Date();
 
     try {
-      const { rows } = await pool.query(
-        `INSERT INTO attendance (user_id, date, status, notes)
-         VALUES ($1, $2, $3, $4)
-         RETURNING *`,
-        [req.user.id, today, status, notes || null]
-      );
-      logger.info('Check-in recorded', { userId: req.user.id, date: today });
-      res.status(201).json({ success: true, attendance: rows[0] });
+      const schedule = await getScheduleForUser(req.user.id);
+      const today = businessDate(schedule, req.user.timezone, now);
+
+      if (await findLeaveDay(req.user.id, today)) {
+        return res.status(409).json({ success: false, message: 'You are on approved leave today' });
+      }
+
+      const location = await siteLocation(req, res);
+      if (!location) return;
+
+      const status = classifyAttendance(schedule, {
+        date: today,
+        checkedInAt: now,
+        timeZone: req.user.timezone,
+      });
+
+      const attendance = await withTransaction(async (client) => {
+        const { rows } = await client.query(
+          `INSERT INTO attendance
+             (user_id, date, checked_in_at, status, notes,
+              origin, site_id, checkin_ip, checkin_latitude, checkin_longitude, location_flagged, kiosk_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+           RETURNING id`,
+          [req.user.id, today, now, status, notes || null,
+            location.origin, location.site?.id || null, normalizeIp(req.ip), latitude, longitude, location.flagged,
+            location.kioskId]
+        );
+        await openSession(rows[0].id, 'work', now, client);
+        return getDay(rows[0].id, client);
+      });
+
+      logger.info('Check-in recorded', { userId: req.user.id, date: attendance.date, status, origin: location.origin });
+      res.status(201).json({ success: true, attendance });
     } catch (err) {
       if (err.code === '23505') {
         // Unique violation — already checked in today
@@ -45,63 +123,181 @@ router.post(
 );
 
 // ── PATCH /api/attendance/checkout ──────────────────────────────
-// Record checkout time for today's record
+// Close the latest open day and its open session (work or break), whatever the
+// calendar day is now — a shift that started yesterday evening closes here too.
+// Leaving early can turn the day into a half-day. A running task timer stops too.
 router.patch('/checkout', async (req, res) => {
-  const today = new Date().toISOString().split('T')[0];
+  const now = new Date();
   try {
-    const { rows } = await pool.query(
-      `UPDATE attendance
-       SET checked_out_at = NOW()
-       WHERE user_id = $1 AND date = $2 AND checked_out_at IS NULL
-       RETURNING *`,
-      [req.user.id, today]
-    );
-    if (!rows.length) {
-      return res.status(404).json({
-        success: false,
-        message: 'No open check-in found for today',
+    const schedule = await getScheduleForUser(req.user.id);
+
+    const result = await withTransaction(async (client) => {
+      const record = await findOpenDay(req.user.id, client);
+      if (!record) return { error: 404, message: 'No open check-in found' };
+
+      const open = await findOpenSession(req.user.id, client);
+      if (open) await closeSession(open.id, now, client);
+      await stopTimer(req.user.id, now, client);
+
+      const status = classifyAttendance(schedule, {
+        date: record.date,
+        checkedInAt: record.checked_in_at,
+        checkedOutAt: now,
+        timeZone: req.user.timezone,
       });
+      await client.query(
+        'UPDATE attendance SET checked_out_at = $2, status = $3 WHERE id = $1',
+        [record.id, now, status]
+      );
+      return { attendance: await getDay(record.id, client) };
+    });
+
+    if (result.error) {
+      return res.status(result.error).json({ success: false, message: result.message });
     }
-    res.json({ success: true, attendance: rows[0] });
+    res.json({ success: true, attendance: result.attendance });
   } catch (err) {
     logger.error('Checkout error', { error: err.message });
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// ── POST /api/attendance/resume ──────────────────────────────────
+// Start a new work session after checking out earlier in the same shift (split
+// day). Checked against the site policy like a check-in; resuming from outside
+// the site under a 'flag' policy flags the day.
+router.post('/resume', locationRules, validate, async (req, res) => {
+  const now = new Date();
+  try {
+    const schedule = await getScheduleForUser(req.user.id);
+    const today = businessDate(schedule, req.user.timezone, now);
+    const location = await siteLocation(req, res);
+    if (!location) return;
+
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT * FROM attendance WHERE user_id = $1 AND date = $2 FOR UPDATE',
+        [req.user.id, today]
+      );
+      if (!rows.length) return { error: 404, message: 'No check-in found for today' };
+      if (!rows[0].checked_out_at) return { error: 409, message: 'Already checked in' };
+
+      await client.query(
+        'UPDATE attendance SET checked_out_at = NULL, location_flagged = location_flagged OR $2 WHERE id = $1',
+        [rows[0].id, location.flagged]
+      );
+      await openSession(rows[0].id, 'work', now, client);
+      return { attendance: await getDay(rows[0].id, client) };
+    });
+
+    if (result.error) {
+      return res.status(result.error).json({ success: false, message: result.message });
+    }
+    logger.info('Work resumed', { userId: req.user.id, date: today });
+    res.json({ success: true, attendance: result.attendance });
+  } catch (err) {
+    logger.error('Resume error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/attendance/break/start ─────────────────────────────
+// Pause the current work session with a typed break
+router.post(
+  '/break/start',
+  [body('type').isIn(BREAK_KINDS).withMessage(`type must be one of: ${BREAK_KINDS.join(', ')}`)],
+  validate,
+  async (req, res) => {
+    const now = new Date();
+    try {
+      const result = await withTransaction(async (client) => {
+        const open = await findOpenSession(req.user.id, client);
+        if (!open) return { error: 409, message: 'Not checked in' };
+        if (open.kind !== 'work') return { error: 409, message: 'Already on a break' };
+
+        await closeSession(open.id, now, client);
+        await openSession(open.attendance_id, req.body.type, now, client);
+        return { attendance: await getDay(open.attendance_id, client) };
+      });
+
+      if (result.error) {
+        return res.status(result.error).json({ success: false, message: result.message });
+      }
+      res.json({ success: true, attendance: result.attendance });
+    } catch (err) {
+      logger.error('Break start error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── POST /api/attendance/break/end ───────────────────────────────
+// End the current break and resume work
+router.post('/break/end', async (req, res) => {
+  const now = new Date();
+  try {
+    const result = await withTransaction(async (client) => {
+      const open = await findOpenSession(req.user.id, client);
+      if (!open || open.kind === 'work') return { error: 409, message: 'Not on a break' };
+
+      await closeSession(open.id, now, client);
+      await openSession(open.attendance_id, 'work', now, client);
+      return { attendance: await getDay(open.attendance_id, client) };
+    });
+
+    if (result.error) {
+      return res.status(result.error).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, attendance: result.attendance });
+  } catch (err) {
+    logger.error('Break end error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // ── GET /api/attendance ──────────────────────────────────────────
-// List attendance records for the authenticated user (with optional date range)
+// List attendance records for the authenticated user (with optional date range).
+// from/to are calendar dates in the user's timezone, matching how `date` is stored.
+// Approved leave days appear as `on-leave` entries with a `leave_type`.
+// `view=calendar` instead returns every day in from..to, classified.
 router.get(
   '/',
   [
     query('from').optional().isISO8601().withMessage('from must be a valid date'),
     query('to').optional().isISO8601().withMessage('to must be a valid date'),
+    query('view').optional().isIn(['list', 'calendar']).withMessage('view must be list or calendar'),
     query('page').optional().isInt({ min: 1 }).toInt(),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   ],
   validate,
   async (req, res) => {
+    if (req.query.view === 'calendar') return calendar(req, res);
+
     const { from, to, page = 1, limit = 30 } = req.query;
     const offset = (page - 1) * limit;
 
-    const conditions = ['user_id = $1'];
+    const conditions = ['a.user_id = $1'];
     const params = [req.user.id];
     let i = 2;
 
-    if (from) { conditions.push(`date >= $${i++}`); params.push(from); }
-    if (to)   { conditions.push(`date <= $${i++}`); params.push(to); }
+    if (from) { conditions.push(`a.date >= $${i++}`); params.push(from); }
+    if (to)   { conditions.push(`a.date <= $${i++}`); params.push(to); }
 
     const where = conditions.join(' AND ');
 
     try {
       const countResult = await pool.query(
-        `SELECT COUNT(*) FROM attendance WHERE ${where}`,
+        `WITH entries AS (${HISTORY_ENTRIES})
+         SELECT COUNT(*) FROM entries a WHERE ${where}`,
         params
       );
 
       const { rows } = await pool.query(
-        `SELECT * FROM attendance WHERE ${where}
-         ORDER BY date DESC LIMIT $${i} OFFSET $${i + 1}`,
+        `WITH entries AS (${HISTORY_ENTRIES})
+         SELECT a.*, totals.worked_minutes, totals.break_minutes
+         FROM entries a ${SESSION_TOTALS}
+         WHERE ${where}
+         ORDER BY a.date DESC LIMIT $${i} OFFSET $${i + 1}`,
         [...params, limit, offset]
       );
 
@@ -119,15 +315,194 @@ router.get(
   }
 );
 
+// ── GET /api/attendance?view=calendar&from=...&to=... ────────────
+// One entry per day, by precedence:
+//   worked    — has an attendance record (even on a holiday or weekend)
+//   on-leave  — approved leave
+//   holiday   — org holiday
+//   weekend   — not one of the user's working days
+//   upcoming  — later than the current business date
+//   absent    — otherwise
+const MAX_CALENDAR_DAYS = 366;
+
+async function calendar(req, res) {
+  const { from, to } = req.query;
+  if (!from || !to) {
+    return res.status(400).json({ success: false, message: 'from and to are required for the calendar view' });
+  }
+  const span = daysBetween(from, to);
+  if (span < 0 || span >= MAX_CALENDAR_DAYS) {
+    return res.status(400).json({
+      success: false,
+      message: `from must not be after to, and the range cannot exceed ${MAX_CALENDAR_DAYS} days`,
+    });
+  }
+
+  try {
+    const schedule = await getScheduleForUser(req.user.id);
+    const today = businessDate(schedule, req.user.timezone);
+    const { rows } = await pool.query(
+      `SELECT to_char(d, 'YYYY-MM-DD') AS date,
+              CASE
+                WHEN a.id IS NOT NULL                  THEN 'worked'
+                WHEN ld.date IS NOT NULL               THEN 'on-leave'
+                WHEN h.id IS NOT NULL                  THEN 'holiday'
+                WHEN NOT is_working_day($1, d::date)   THEN 'weekend'
+                WHEN d::date > $4                      THEN 'upcoming'
+                ELSE 'absent'
+              END AS type,
+              h.name AS holiday_name,
+              ld.leave_type,
+              a.id AS attendance_id, a.status, a.checked_in_at, a.checked_out_at,
+              CASE WHEN a.id IS NOT NULL THEN totals.worked_minutes END AS worked_minutes
+       FROM generate_series($2::date, $3::date, INTERVAL '1 day') d
+       LEFT JOIN attendance a  ON a.user_id = $1 AND a.date = d::date
+       LEFT JOIN holidays h    ON h.date = d::date
+       LEFT JOIN leave_days ld ON ld.user_id = $1 AND ld.date = d::date
+       ${SESSION_TOTALS}
+       ORDER BY d`,
+      [req.user.id, from, to, today]
+    );
+    res.json({ success: true, from, to, days: rows });
+  } catch (err) {
+    logger.error('Attendance calendar error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
+
+// ── GET /api/attendance/summary?period=week|month&from=2025-01-13 ──
+// Timesheet for a week or month: per-day and total worked, expected and overtime
+// minutes plus late / absence counts. Defaults to the current week.
+router.get(
+  '/summary',
+  [
+    query('period').optional().isIn(PERIODS).withMessage('period must be week or month'),
+    query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('from must be a YYYY-MM-DD date'),
+  ],
+  validate,
+  async (req, res) => {
+    const { period = 'week', from } = req.query;
+    try {
+      const schedule = await getScheduleForUser(req.user.id);
+      const range = periodRange(period, from, businessDate(schedule, req.user.timezone));
+      res.json({ success: true, period, ...(await timesheet(req.user.id, range)) });
+    } catch (err) {
+      logger.error('Attendance summary error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/attendance/summary/export?format=csv|xlsx&period=...&from=... ──
+// The timesheet's per-day rows as a download
+router.get(
+  '/summary/export',
+  [
+    query('format').optional().isIn(EXPORT_FORMATS).withMessage('format must be csv or xlsx'),
+    query('period').optional().isIn(PERIODS).withMessage('period must be week or month'),
+    query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('from must be a YYYY-MM-DD date'),
+  ],
+  validate,
+  async (req, res) => {
+    const { format = 'csv', period = 'week', from } = req.query;
+    try {
+      const schedule = await getScheduleForUser(req.user.id);
+      const range = periodRange(period, from, businessDate(schedule, req.user.timezone));
+      const { days } = await timesheet(req.user.id, range);
+      await streamExport(res, {
+        format,
+        filename: `timesheet_${range.from}_${range.to}`,
+        columns: TIMESHEET_COLUMNS,
+        rows: days,
+      });
+    } catch (err) {
+      logger.error('Timesheet export error', { error: err.message });
+      if (res.headersSent) return res.destroy();
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/attendance/export?format=csv|xlsx&from=...&to=... ──
+// The full history (same filters as the listing, no paging) as a download,
+// streamed oldest first
+router.get(
+  '/export',
+  [
+    query('format').optional().isIn(EXPORT_FORMATS).withMessage('format must be csv or xlsx'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  ],
+  validate,
+  async (req, res) => {
+    const { format = 'csv', from, to } = req.query;
+
+    const conditions = ['a.user_id = $1'];
+    const params = [req.user.id];
+    let i = 2;
+
+    if (from) { conditions.push(`a.date >= $${i++}`); params.push(from); }
+    if (to)   { conditions.push(`a.date <= $${i++}`); params.push(to); }
+
+    try {
+      await streamExport(res, {
+        format,
+        filename: ['attendance', from, to].filter(Boolean).join('_'),
+        columns: ATTENDANCE_COLUMNS,
+        rows: queryStream(
+          `WITH entries AS (${HISTORY_ENTRIES})
+           SELECT a.*, totals.worked_minutes, totals.break_minutes
+           FROM entries a ${SESSION_TOTALS}
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY a.date`,
+          params
+        ),
+      });
+    } catch (err) {
+      logger.error('Attendance export error', { error: err.message });
+      if (res.headersSent) return res.destroy();
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/attendance/policy ───────────────────────────────────
+// The signed-in user's check-in site policy (null when none is assigned), so the
+// client knows whether to ask the browser for a location or a kiosk scan
+router.get('/policy', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT s.name, s.enforcement, s.latitude IS NOT NULL AS geofence, s.require_kiosk
+       FROM users u
+       JOIN sites s ON s.id = u.site_id
+       WHERE u.id = $1`,
+      [req.user.id]
+    );
+    res.json({ success: true, policy: rows[0] || null });
+  } catch (err) {
+    logger.error('Check-in policy error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // ── GET /api/attendance/today ────────────────────────────────────
+// The current shift with its sessions and worked / break minutes: the open day if
+// there is one (even if it began yesterday), otherwise the current business date's
+// record (null if not checked in)
 router.get('/today', async (req, res) => {
-  const today = new Date().toISOString().split('T')[0];
   try {
+    const schedule = await getScheduleForUser(req.user.id);
+    const today = businessDate(schedule, req.user.timezone);
     const { rows } = await pool.query(
-      'SELECT * FROM attendance WHERE user_id = $1 AND date = $2',
+      `SELECT id FROM attendance
+       WHERE user_id = $1 AND (date = $2 OR checked_out_at IS NULL)
+       ORDER BY checked_out_at IS NULL DESC, date DESC
+       LIMIT 1`,
       [req.user.id, today]
     );
-    res.json({ success: true, record: rows[0] || null });
+    res.json({ success: true, record: rows.length ? await getDay(rows[0].id) : null });
   } catch (err) {
     logger.error('Today attendance error', { error: err.message });
     res.status(500).json({ success: false, message: 'Server error' });
@@ -5,6 +5,7 @@ const { body } = require('express-validator');
 const { pool } = require('../db');
 const { validate } = require('../middleware/validate');
 const logger = require('../config/logger');
+const { isValidTimeZone } = require('../utils/time');
 
 // ── POST /api/auth/signup ────────────────────────────────────────
 const signupValidators = [
@@ -15,10 +16,11 @@ const signupValidators = [
     .matches(/[A-Z]/).withMessage('Password must contain an uppercase letter')
     .matches(/[0-9]/).withMessage('Password must contain a number'),
   body('role').optional().isIn(['admin', 'employee']).withMessage('Role must be admin or employee'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone'),
 ];
 
 router.post('/signup', signupValidators, validate, async (req, res) => {
-  const { name, email, password, role = 'employee' } = req.body;
+  const { name, email, password, role = 'employee', timezone } = req.body;
   try {
     const exists = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
     if (exists.rows.length) {
@@ -27,10 +29,10 @@ router.post('/signup', signupValidators, validate, async (req, res) => {
 
     const hash = await bcrypt.hash(password, 12);
     const { rows } = await pool.query(
-      `INSERT INTO users (name, email, password, role)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, name, email, role, created_at`,
-      [name, email, hash, role]
+      `INSERT INTO users (name, email, password, role, timezone)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, name, email, role, timezone, created_at`,
+      [name, email, hash, role, timezone || null]
     );
 
     const token = jwt.sign({ userId: rows[0].id }, process.env.JWT_SECRET, {
@@ -88,8 +90,32 @@ router.post('/login', loginValidators, validate, async (req, res) => {
 
 // ── GET /api/auth/me ─────────────────────────────────────────────
 const { authenticate } = require('../middleware/auth');
+const { getSetting } = require('../db/settings');
 router.get('/me', authenticate, (req, res) => {
   res.json({ success: true, user: req.user });
 });
 
+// ── PATCH /api/auth/me ───────────────────────────────────────────
+// Update own profile settings. `timezone: null` falls back to the org default.
+router.patch(
+  '/me',
+  authenticate,
+  [body('timezone').exists().withMessage('timezone is required')
+    .bail().custom(tz => tz === null || isValidTimeZone(tz)).withMessage('Invalid timezone')],
+  validate,
+  async (req, res) => {
+    try {
+      await pool.query('UPDATE users SET timezone = $1 WHERE id = $2', [req.body.timezone, req.user.id]);
+      logger.info('User timezone updated', { userId: req.user.id, timezone: req.body.timezone });
+      res.json({
+        success: true,
+        user: { ...req.user, timezone: req.body.timezone || await getSetting('timezone') },
+      });
+    } catch (err) {
+      logger.error('Update profile error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,156 @@
+const router = require('express').Router();
+const { body, param, query } = require('express-validator');
+const { pool } = require('../db');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { getScheduleForUser } = require('../db/schedules');
+const { businessDate } = require('../utils/schedule');
+const logger = require('../config/logger');
+
+router.use(authenticate);
+
+// ── POST /api/attendance/corrections ─────────────────────────────
+// Propose new in and/or out times for a business date. Omitted times keep the
+// current value; a date without a record needs both.
+router.post(
+  '/',
+  [
+    body('date').isISO8601({ strict: true }).withMessage('Invalid date'),
+    body('checked_in_at').optional().isISO8601().withMessage('Invalid checked_in_at'),
+    body('checked_out_at').optional().isISO8601().withMessage('Invalid checked_out_at'),
+    body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }),
+  ],
+  validate,
+  async (req, res) => {
+    const { date, reason } = req.body;
+    const proposedIn = req.body.checked_in_at ? new Date(req.body.checked_in_at) : null;
+    const proposedOut = req.body.checked_out_at ? new Date(req.body.checked_out_at) : null;
+
+    if (!proposedIn && !proposedOut) {
+      return res.status(400).json({ success: false, message: 'Propose checked_in_at and/or checked_out_at' });
+    }
+    const now = new Date();
+    if ((proposedIn && proposedIn > now) || (proposedOut && proposedOut > now)) {
+      return res.status(400).json({ success: false, message: 'Corrected times cannot be in the future' });
+    }
+
+    try {
+      const existing = await pool.query(
+        'SELECT * FROM attendance WHERE user_id = $1 AND date = $2',
+        [req.user.id, date]
+      );
+      const record = existing.rows[0] || null;
+
+      const finalIn = proposedIn || record?.checked_in_at;
+      const finalOut = proposedOut || record?.checked_out_at;
+      if (!finalIn || !finalOut) {
+        return res.status(400).json({
+          success: false,
+          message: record
+            ? 'checked_out_at is required while the day is still open'
+            : 'No record for this date — propose both checked_in_at and checked_out_at',
+        });
+      }
+      if (finalOut <= finalIn) {
+        return res.status(400).json({ success: false, message: 'Check-out must be after check-in' });
+      }
+
+      const schedule = await getScheduleForUser(req.user.id);
+      if (businessDate(schedule, req.user.timezone, finalIn) !== date) {
+        return res.status(400).json({ success: false, message: `Check-in time does not fall on ${date}` });
+      }
+
+      const pending = await pool.query(
+        `SELECT id FROM attendance_corrections
+         WHERE user_id = $1 AND date = $2 AND status = 'pending'`,
+        [req.user.id, date]
+      );
+      if (pending.rows.length) {
+        return res.status(409).json({ success: false, message: 'A correction for this date is already pending' });
+      }
+
+      const { rows } = await pool.query(
+        `INSERT INTO attendance_corrections
+           (user_id, attendance_id, date, checked_in_at, checked_out_at, reason)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [req.user.id, record?.id || null, date, proposedIn, proposedOut, reason]
+      );
+      logger.info('Correction requested', { correctionId: rows[0].id, userId: req.user.id, date });
+      res.status(201).json({ success: true, correction: rows[0] });
+    } catch (err) {
+      logger.error('Create correction error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/attendance/corrections ──────────────────────────────
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled']),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    const { status, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = ['user_id = $1'];
+    const params = [req.user.id];
+    let i = 2;
+
+    if (status) { conditions.push(`status = $${i++}`); params.push(status); }
+
+    const where = conditions.join(' AND ');
+
+    try {
+      const countResult = await pool.query(
+        `SELECT COUNT(*) FROM attendance_corrections WHERE ${where}`, params
+      );
+      const { rows } = await pool.query(
+        `SELECT * FROM attendance_corrections WHERE ${where}
+         ORDER BY created_at DESC
+         LIMIT $${i} OFFSET $${i + 1}`,
+        [...params, limit, offset]
+      );
+      res.json({
+        success: true,
+        total: parseInt(countResult.rows[0].count, 10),
+        page, limit,
+        corrections: rows,
+      });
+    } catch (err) {
+      logger.error('List corrections error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/attendance/corrections/:id/cancel ─────────────────
+router.patch(
+  '/:id/cancel',
+  [param('id').isUUID().withMessage('Invalid correction ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE attendance_corrections SET status = 'cancelled'
+         WHERE id = $1 AND user_id = $2 AND status = 'pending'
+         RETURNING *`,
+        [req.params.id, req.user.id]
+      );
+      if (!rows.length) {
+        return res.status(404).json({ success: false, message: 'Pending correction not found' });
+      }
+      res.json({ success: true, correction: rows[0] });
+    } catch (err) {
+      logger.error('Cancel correction error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const router = require('express').Router();
+const { authenticateKiosk } = require('../middleware/kiosk');
+const { KIOSK_CODE_SECONDS, signKioskCode } = require('../utils/kiosk');
+const logger = require('../config/logger');
+
+// Every route is called by a registered kiosk device, not a user
+router.use(authenticateKiosk);
+
+// ── GET /api/kiosk/token ─────────────────────────────────────────
+// A fresh short-lived check-in code for the kiosk screen to show as a QR code.
+// The display asks again after `refresh_in` seconds.
+router.get('/token', (req, res) => {
+  try {
+    const { token, expiresAt } = signKioskCode(req.kiosk.id);
+    res.json({
+      success: true,
+      token,
+      expires_at: expiresAt,
+      refresh_in: KIOSK_CODE_SECONDS,
+      device: { name: req.kiosk.name, site_name: req.kiosk.site_name },
+    });
+  } catch (err) {
+    logger.error('Kiosk token error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const router = require('express').Router();
+const { body, param, query } = require('express-validator');
+const { pool, withTransaction } = require('../db');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { getBalances, leaveDaysByYear, lockBalance, refundBalances } = require('../db/leave');
+const { localDate } = require('../utils/time');
+const logger = require('../config/logger');
+
+router.use(authenticate);
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// ── GET /api/leave/types ─────────────────────────────────────────
+router.get('/types', async (_req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT code, name, yearly_days FROM leave_types ORDER BY name');
+    res.json({ success: true, types: rows });
+  } catch (err) {
+    logger.error('List leave types error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── GET /api/leave/balances?year=2025 ────────────────────────────
+router.get(
+  '/balances',
+  [query('year').optional().isInt({ min: 2000, max: 2100 }).toInt()],
+  validate,
+  async (req, res) => {
+    const year = Number(req.query.year || localDate(req.user.timezone).slice(0, 4));
+    try {
+      res.json({ success: true, year, balances: await getBalances(req.user.id, year) });
+    } catch (err) {
+      logger.error('Leave balances error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/leave ───────────────────────────────────────────────
+// Own leave requests, newest first
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(LEAVE_STATUSES).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    const { status, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = ['l.user_id = $1'];
+    const params = [req.user.id];
+    let i = 2;
+
+    if (status) { conditions.push(`l.status = $${i++}`); params.push(status); }
+
+    const where = conditions.join(' AND ');
+
+    try {
+      const countResult = await pool.query(
+        `SELECT COUNT(*) FROM leave_requests l WHERE ${where}`, params
+      );
+      const { rows } = await pool.query(
+        `SELECT l.*, t.code AS leave_type
+         FROM leave_requests l
+         JOIN leave_types t ON t.id = l.leave_type_id
+         WHERE ${where}
+         ORDER BY l.start_date DESC
+         LIMIT $${i} OFFSET $${i + 1}`,
+        [...params, limit, offset]
+      );
+      res.json({
+        success: true,
+        total: parseInt(countResult.rows[0].count, 10),
+        page, limit,
+        requests: rows,
+      });
+    } catch (err) {
+      logger.error('List leave requests error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── POST /api/leave ──────────────────────────────────────────────
+// Submit a leave request for a date range; it stays pending until an admin reviews it
+router.post(
+  '/',
+  [
+    body('leave_type').trim().notEmpty().withMessage('leave_type is required'),
+    body('start_date').isISO8601({ strict: true }).withMessage('Invalid start_date'),
+    body('end_date').isISO8601({ strict: true }).withMessage('Invalid end_date')
+      .custom((end, { req }) => end >= req.body.start_date).withMessage('end_date must not be before start_date'),
+    body('reason').optional().trim().isLength({ max: 500 }),
+  ],
+  validate,
+  async (req, res) => {
+    const { leave_type, start_date, end_date, reason } = req.body;
+    try {
+      const type = await pool.query('SELECT id FROM leave_types WHERE code = $1', [leave_type]);
+      if (!type.rows.length) {
+        return res.status(404).json({ success: false, message: 'Leave type not found' });
+      }
+      const leaveTypeId = type.rows[0].id;
+
+      // One request per user at a time, so two overlapping ones cannot both pass
+      const result = await withTransaction(async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`leave:${req.user.id}`]);
+        const overlap = await client.query(
+          `SELECT id FROM leave_requests
+           WHERE user_id = $1 AND status IN ('pending', 'approved')
+             AND start_date <= $3 AND end_date >= $2`,
+          [req.user.id, start_date, end_date]
+        );
+        if (overlap.rows.length) return { error: 409, message: 'Overlaps an existing leave request' };
+
+        const byYear = await leaveDaysByYear(req.user.id, start_date, end_date, client);
+        const days = byYear.reduce((sum, y) => sum + y.days, 0);
+        if (!days) return { error: 400, message: 'Range contains no working days' };
+
+        // Fail early on an obviously insufficient balance; approval re-checks it
+        for (const { year, days: needed } of byYear) {
+          const { allocated, used } = await lockBalance(req.user.id, leaveTypeId, year, client);
+          if (allocated !== null && allocated - used < needed) {
+            return { error: 409, message: `Insufficient ${leave_type} balance for ${year}` };
+          }
+        }
+
+        const { rows } = await client.query(
+          `INSERT INTO leave_requests (user_id, leave_type_id, start_date, end_date, days, reason)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [req.user.id, leaveTypeId, start_date, end_date, days, reason || null]
+        );
+        return { request: { ...rows[0], leave_type } };
+      });
+
+      if (result.error) {
+        return res.status(result.error).json({ success: false, message: result.message });
+      }
+      logger.info('Leave requested', { leaveId: result.request.id, userId: req.user.id, days: result.request.days });
+      res.status(201).json({ success: true, request: result.request });
+    } catch (err) {
+      logger.error('Create leave request error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/leave/:id/cancel ──────────────────────────────────
+// Withdraw an own pending request, or approved leave that has not started yet
+// (its days go back to the balance). Started leave can only be revoked by an admin.
+router.patch(
+  '/:id/cancel',
+  [param('id').isUUID().withMessage('Invalid leave request ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const result = await withTransaction(async (client) => {
+        const { rows } = await client.query(
+          'SELECT * FROM leave_requests WHERE id = $1 AND user_id = $2 FOR UPDATE',
+          [req.params.id, req.user.id]
+        );
+        if (!rows.length) return { error: 404, message: 'Leave request not found' };
+        const request = rows[0];
+        if (!['pending', 'approved'].includes(request.status)) {
+          return { error: 409, message: `Request is already ${request.status}` };
+        }
+        if (request.status === 'approved') {
+          if (request.start_date <= localDate(req.user.timezone)) {
+            return { error: 409, message: 'Leave that has started can only be revoked by an admin' };
+          }
+          await refundBalances(request, client);
+        }
+        const updated = await client.query(
+          "UPDATE leave_requests SET status = 'cancelled' WHERE id = $1 RETURNING *",
+          [request.id]
+        );
+        return { request: updated.rows[0] };
+      });
+
+      if (result.error) {
+        return res.status(result.error).json({ success: false, message: result.message });
+      }
+      logger.info('Leave cancelled', { leaveId: result.request.id, userId: req.user.id });
+      res.json({ success: true, request: result.request });
+    } catch (err) {
+      logger.error('Cancel leave request error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const router = require('express').Router();
+const { param, query } = require('express-validator');
+const { pool } = require('../db');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const logger = require('../config/logger');
+
+router.use(authenticate);
+
+// ── GET /api/notifications ───────────────────────────────────────
+// The signed-in user's notifications, newest first. `unread=true` limits the
+// list to those not yet marked as read.
+router.get(
+  '/',
+  [query('unread').optional().isBoolean().withMessage('unread must be true or false')],
+  validate,
+  async (req, res) => {
+    const conditions = ['user_id = $1'];
+    if (req.query.unread === 'true') conditions.push('read_at IS NULL');
+
+    try {
+      const { rows } = await pool.query(
+        `SELECT * FROM notifications
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC
+         LIMIT 50`,
+        [req.user.id]
+      );
+      res.json({ success: true, notifications: rows });
+    } catch (err) {
+      logger.error('Notification list error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/notifications/:id/read ────────────────────────────
+router.patch(
+  '/:id/read',
+  [param('id').isUUID().withMessage('Invalid notification ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        [req.params.id, req.user.id]
+      );
+      if (!rows.length) {
+        return res.status(404).json({ success: false, message: 'Notification not found' });
+      }
+      res.json({ success: true, notification: rows[0] });
+    } catch (err) {
+      logger.error('Notification read error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const router = require('express').Router();
+const { body, param, query } = require('express-validator');
+const { pool, withTransaction } = require('../db');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { isAssignable } = require('../db/tasks');
+const {
+  PROJECTS_OF, PROJECT_COLUMNS, PROJECT_FROM, findProject, listProjectMembers,
+} = require('../db/projects');
+const logger = require('../config/logger');
+
+// Anyone can start a project and becomes its owner. Owners (and admins) edit it
+// and its members; members see and add its tasks (/api/tasks?project_id=…).
+router.use(authenticate);
+
+const PROJECT_ROLES = ['owner', 'member'];
+
+const projectParam = param('id').isUUID().withMessage('Invalid project ID');
+const memberParam = param('userId').isUUID().withMessage('Invalid user ID');
+
+// Resolve the project, or send the error. `manage` requires an owner or admin.
+const projectFor = async (req, res, { manage }) => {
+  const project = await findProject(req.params.id, req.user);
+  if (!project) {
+    res.status(404).json({ success: false, message: 'Project not found' });
+    return null;
+  }
+  if (manage && project.my_role !== 'owner' && req.user.role !== 'admin') {
+    res.status(403).json({ success: false, message: 'Only a project owner can change the project' });
+    return null;
+  }
+  return project;
+};
+
+// True if `userId` is the only owner left on a project
+const isLastOwner = async (projectId, userId, db) => {
+  const { rows } = await db.query(
+    "SELECT user_id FROM project_members WHERE project_id = $1 AND role = 'owner' FOR UPDATE",
+    [projectId]
+  );
+  return rows.length === 1 && rows[0].user_id === userId;
+};
+const lastOwner = (res) =>
+  res.status(409).json({ success: false, message: 'A project needs at least one owner' });
+
+// ── GET /api/projects ────────────────────────────────────────────
+// Projects you are a member of (admins: every project), archived ones only
+// with `archived=true`
+router.get(
+  '/',
+  [query('archived').optional().isBoolean().withMessage('archived must be true or false')],
+  validate,
+  async (req, res) => {
+    const conditions = [req.query.archived === 'true' ? 'p.archived_at IS NOT NULL' : 'p.archived_at IS NULL'];
+    if (req.user.role !== 'admin') conditions.push(`p.id IN ${PROJECTS_OF('$1')}`);
+    try {
+      const { rows } = await pool.query(
+        `SELECT ${PROJECT_COLUMNS}, me.role AS my_role
+         FROM ${PROJECT_FROM}
+         LEFT JOIN project_members me ON me.project_id = p.id AND me.user_id = $1
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY p.name`,
+        [req.user.id]
+      );
+      res.json({ success: true, projects: rows });
+    } catch (err) {
+      logger.error('List projects error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── POST /api/projects ───────────────────────────────────────────
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }),
+  ],
+  validate,
+  async (req, res) => {
+    const { name, description } = req.body;
+    try {
+      const project = await withTransaction(async (client) => {
+        const { rows } = await client.query(
+          'INSERT INTO projects (name, description, created_by) VALUES ($1, $2, $3) RETURNING id',
+          [name, description || null, req.user.id]
+        );
+        await client.query(
+          "INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'owner')",
+          [rows[0].id, req.user.id]
+        );
+        return findProject(rows[0].id, req.user, client);
+      });
+      logger.info('Project created', { projectId: project.id, userId: req.user.id });
+      res.status(201).json({ success: true, project });
+    } catch (err) {
+      logger.error('Create project error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/projects/:id ────────────────────────────────────────
+router.get('/:id', [projectParam], validate, async (req, res) => {
+  try {
+    const project = await projectFor(req, res, { manage: false });
+    if (!project) return;
+    res.json({ success: true, project, members: await listProjectMembers(project.id) });
+  } catch (err) {
+    logger.error('Get project error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── PATCH /api/projects/:id ──────────────────────────────────────
+// `archived: true` closes the project to new tasks; its tasks stay as they are
+router.patch(
+  '/:id',
+  [
+    projectParam,
+    body('name').optional().trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }),
+    body('archived').optional().isBoolean({ strict: true }).withMessage('archived must be a boolean'),
+  ],
+  validate,
+  async (req, res) => {
+    const allowed = ['name', 'description', 'archived'];
+    const updates = Object.keys(req.body).filter(k => allowed.includes(k));
+
+    if (!updates.length) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    const setClauses = updates.map((key, idx) => (key === 'archived'
+      ? `archived_at = CASE WHEN $${idx + 1}::boolean THEN COALESCE(archived_at, NOW()) END`
+      : `${key} = $${idx + 1}`)).join(', ');
+    const values = updates.map(k => (k === 'description' ? req.body[k] || null : req.body[k]));
+
+    try {
+      const project = await projectFor(req, res, { manage: true });
+      if (!project) return;
+      await pool.query(
+        `UPDATE projects SET ${setClauses} WHERE id = $${updates.length + 1}`,
+        [...values, project.id]
+      );
+      logger.info('Project updated', { projectId: project.id, userId: req.user.id, fields: updates });
+      res.json({ success: true, project: await findProject(project.id, req.user) });
+    } catch (err) {
+      logger.error('Update project error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── DELETE /api/projects/:id ─────────────────────────────────────
+// Its tasks are kept, no longer in any project
+router.delete('/:id', [projectParam], validate, async (req, res) => {
+  try {
+    const project = await projectFor(req, res, { manage: true });
+    if (!project) return;
+    await pool.query('DELETE FROM projects WHERE id = $1', [project.id]);
+    logger.info('Project deleted', { projectId: project.id, userId: req.user.id });
+    res.json({ success: true, message: 'Project deleted' });
+  } catch (err) {
+    logger.error('Delete project error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/projects/:id/members ───────────────────────────────
+router.post(
+  '/:id/members',
+  [
+    projectParam,
+    body('user_id').isUUID().withMessage('Invalid user ID'),
+    body('role').optional().isIn(PROJECT_ROLES).withMessage('role must be owner or member'),
+  ],
+  validate,
+  async (req, res) => {
+    const { user_id, role = 'member' } = req.body;
+    try {
+      const project = await projectFor(req, res, { manage: true });
+      if (!project) return;
+      if (!(await isAssignable(user_id))) {
+        return res.status(404).json({ success: false, message: 'User not found or inactive' });
+      }
+      await pool.query(
+        'INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, $3)',
+        [project.id, user_id, role]
+      );
+      res.status(201).json({ success: true, members: await listProjectMembers(project.id) });
+    } catch (err) {
+      if (err.code === '23505') {
+        return res.status(409).json({ success: false, message: 'Already a member of this project' });
+      }
+      logger.error('Add project member error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/projects/:id/members/:userId ──────────────────────
+router.patch(
+  '/:id/members/:userId',
+  [projectParam, memberParam, body('role').isIn(PROJECT_ROLES).withMessage('role must be owner or member')],
+  validate,
+  async (req, res) => {
+    try {
+      const project = await projectFor(req, res, { manage: true });
+      if (!project) return;
+      const result = await withTransaction(async (client) => {
+        if (req.body.role !== 'owner' && await isLastOwner(project.id, req.params.userId, client)) {
+          return { lastOwner: true };
+        }
+        const { rowCount } = await client.query(
+          'UPDATE project_members SET role = $3 WHERE project_id = $1 AND user_id = $2',
+          [project.id, req.params.userId, req.body.role]
+        );
+        return { found: rowCount > 0 };
+      });
+      if (result.lastOwner) return lastOwner(res);
+      if (!result.found) return res.status(404).json({ success: false, message: 'Project member not found' });
+      res.json({ success: true, members: await listProjectMembers(project.id) });
+    } catch (err) {
+      logger.error('Update project member error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── DELETE /api/projects/:id/members/:userId ─────────────────────
+// Owners remove anyone, members themselves (leaving). Their tasks in the project
+// stay assigned to them.
+router.delete('/:id/members/:userId', [projectParam, memberParam], validate, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const project = await projectFor(req, res, { manage: !leaving });
+    if (!project) return;
+    const result = await withTransaction(async (client) => {
+      if (await isLastOwner(project.id, req.params.userId, client)) return { lastOwner: true };
+      const { rowCount } = await client.query(
+        'DELETE FROM project_members WHERE project_id = $1 AND user_id = $2',
+        [project.id, req.params.userId]
+      );
+      return { found: rowCount > 0 };
+    });
+    if (result.lastOwner) return lastOwner(res);
+    if (!result.found) return res.status(404).json({ success: false, message: 'Project member not found' });
+    res.json({ success: true, members: await listProjectMembers(project.id) });
+  } catch (err) {
+    logger.error('Remove project member error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
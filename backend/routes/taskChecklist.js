@@ -0,0 +1,199 @@
+const router = require('express').Router({ mergeParams: true });
+const { body, param } = require('express-validator');
+const { pool, withTransaction } = require('../db');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { FINISHED_STATUSES, findTask, findTransition, applyUpdate } = require('../db/tasks');
+const { getSetting } = require('../db/settings');
+const logger = require('../config/logger');
+
+// Mounted at /api/tasks/:id/checklist. The task's creator adds, renames,
+// reorders and removes items; the creator or the assignee ticks them off.
+router.use(authenticate);
+
+const taskParam = param('id').isUUID().withMessage('Invalid task ID');
+const itemParam = param('itemId').isUUID().withMessage('Invalid item ID');
+
+const listItems = async (taskId, db = pool) => {
+  const { rows } = await db.query(
+    'SELECT * FROM task_checklist_items WHERE task_id = $1 ORDER BY position, created_at',
+    [taskId]
+  );
+  return rows;
+};
+
+// Resolve the task and check the user's role on it, or send the error
+const taskFor = async (req, res, { manage }) => {
+  const task = await findTask(req.params.id, req.user);
+  if (!task) {
+    res.status(404).json({ success: false, message: 'Task not found' });
+    return null;
+  }
+  const allowed = task.created_by === req.user.id || (!manage && task.assigned_to === req.user.id);
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: manage ? 'Only the task creator can change the checklist' : 'Only the creator or assignee can tick items',
+    });
+    return null;
+  }
+  return task;
+};
+
+// ── GET /api/tasks/:id/checklist ─────────────────────────────────
+router.get('/', [taskParam], validate, async (req, res) => {
+  try {
+    const task = await findTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+    res.json({ success: true, items: await listItems(task.id) });
+  } catch (err) {
+    logger.error('List checklist error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/tasks/:id/checklist ────────────────────────────────
+// Appended to the end of the list
+router.post(
+  '/',
+  [taskParam, body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 255 })],
+  validate,
+  async (req, res) => {
+    try {
+      const task = await taskFor(req, res, { manage: true });
+      if (!task) return;
+      const { rows } = await pool.query(
+        `INSERT INTO task_checklist_items (task_id, title, position)
+         SELECT $1, $2, COALESCE(MAX(position) + 1, 0) FROM task_checklist_items WHERE task_id = $1
+         RETURNING *`,
+        [task.id, req.body.title]
+      );
+      res.status(201).json({ success: true, item: rows[0] });
+    } catch (err) {
+      logger.error('Add checklist item error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/tasks/:id/checklist/order ─────────────────────────
+// `ids` lists every item of the task in the new order
+router.patch(
+  '/order',
+  [taskParam, body('ids').isArray().withMessage('ids must be an array'), body('ids.*').isUUID().withMessage('Invalid item ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const task = await taskFor(req, res, { manage: true });
+      if (!task) return;
+
+      const items = await withTransaction(async (client) => {
+        const current = await listItems(task.id, client);
+        const ids = new Set(req.body.ids);
+        if (ids.size !== req.body.ids.length || ids.size !== current.length || current.some(i => !ids.has(i.id))) {
+          return null;
+        }
+        await client.query(
+          `UPDATE task_checklist_items ci SET position = o.position
+           FROM unnest($2::uuid[]) WITH ORDINALITY AS o(id, position)
+           WHERE ci.id = o.id AND ci.task_id = $1`,
+          [task.id, req.body.ids]
+        );
+        return listItems(task.id, client);
+      });
+      if (!items) {
+        return res.status(400).json({ success: false, message: 'ids must list every checklist item exactly once' });
+      }
+      res.json({ success: true, items });
+    } catch (err) {
+      logger.error('Reorder checklist error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/tasks/:id/checklist/:itemId ───────────────────────
+// `title` needs the creator; `is_done` the creator or assignee. With the
+// `checklist_autocomplete` setting on, ticking the last open item completes the task
+// if the workflow lets anyone move it to completed from its current status (and,
+// for a recurring task, creates the next occurrence as `next_task`).
+router.patch(
+  '/:itemId',
+  [
+    taskParam,
+    itemParam,
+    body('title').optional().trim().notEmpty().withMessage('Title is required').isLength({ max: 255 }),
+    body('is_done').optional().isBoolean({ strict: true }).withMessage('is_done must be a boolean'),
+  ],
+  validate,
+  async (req, res) => {
+    const { title, is_done } = req.body;
+    if (title === undefined && is_done === undefined) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    try {
+      const task = await taskFor(req, res, { manage: title !== undefined });
+      if (!task) return;
+      const autocomplete = is_done === true && await getSetting('checklist_autocomplete');
+
+      const result = await withTransaction(async (client) => {
+        const { rows } = await client.query(
+          `UPDATE task_checklist_items SET
+             title   = COALESCE($3, title),
+             is_done = COALESCE($4, is_done),
+             done_at = CASE WHEN $4::boolean IS NULL THEN done_at WHEN $4 THEN COALESCE(done_at, NOW()) END,
+             done_by = CASE WHEN $4::boolean IS NULL THEN done_by WHEN $4 THEN COALESCE(done_by, $5) END
+           WHERE id = $2 AND task_id = $1
+           RETURNING *`,
+          [task.id, req.params.itemId, title ?? null, is_done ?? null, req.user.id]
+        );
+        if (!rows.length) return null;
+
+        // Completed only if the task still has the status the workflow was checked
+        // against — a status changed meanwhile leaves it alone
+        let completed = null;
+        if (autocomplete && !FINISHED_STATUSES.includes(task.status)) {
+          const { rows: open } = await client.query(
+            'SELECT 1 FROM task_checklist_items WHERE task_id = $1 AND NOT is_done LIMIT 1',
+            [task.id]
+          );
+          const transition = !open.length && await findTransition(task.status, 'completed', client);
+          if (transition && !transition.admin_only) {
+            completed = await applyUpdate(task, { status: 'completed' }, req.user, client);
+          }
+        }
+        return {
+          item: rows[0],
+          task: completed?.task ?? await findTask(task.id, req.user, client),
+          next_task: completed?.next_task ?? null,
+        };
+      });
+
+      if (!result) return res.status(404).json({ success: false, message: 'Checklist item not found' });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      logger.error('Update checklist item error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── DELETE /api/tasks/:id/checklist/:itemId ──────────────────────
+router.delete('/:itemId', [taskParam, itemParam], validate, async (req, res) => {
+  try {
+    const task = await taskFor(req, res, { manage: true });
+    if (!task) return;
+    const { rowCount } = await pool.query(
+      'DELETE FROM task_checklist_items WHERE id = $1 AND task_id = $2',
+      [req.params.itemId, task.id]
+    );
+    if (!rowCount) return res.status(404).json({ success: false, message: 'Checklist item not found' });
+    res.json({ success: true, message: 'Checklist item deleted' });
+  } catch (err) {
+    logger.error('Delete checklist item error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
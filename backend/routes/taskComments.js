@@ -0,0 +1,131 @@
+const router = require('express').Router({ mergeParams: true });
+const { body, param } = require('express-validator');
+const { pool } = require('../db');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { findTask } = require('../db/tasks');
+const logger = require('../config/logger');
+
+// Mounted at /api/tasks/:id/comments — anyone who can see the task may comment;
+// only a comment's author may edit or delete it
+router.use(authenticate);
+
+const COMMENT_COLUMNS = `c.id, c.task_id, c.parent_id, c.author_id, u.name AS author_name,
+                         c.body, c.edited_at, c.deleted_at, c.created_at`;
+
+const taskParam = param('id').isUUID().withMessage('Invalid task ID');
+const commentParam = param('commentId').isUUID().withMessage('Invalid comment ID');
+const bodyValidator = body('body').trim().notEmpty().withMessage('Comment cannot be empty')
+  .isLength({ max: 5000 }).withMessage('Comment is too long');
+
+const getComment = async (taskId, commentId) => {
+  const { rows } = await pool.query(
+    `SELECT ${COMMENT_COLUMNS}
+     FROM task_comments c
+     LEFT JOIN users u ON u.id = c.author_id
+     WHERE c.task_id = $1 AND c.id = $2`,
+    [taskId, commentId]
+  );
+  return rows[0] || null;
+};
+
+// Resolve the task and the author's own, not-yet-deleted comment, or send the error
+const ownComment = async (req, res) => {
+  const task = await findTask(req.params.id, req.user);
+  const comment = task && await getComment(task.id, req.params.commentId);
+  if (!comment || comment.deleted_at) {
+    res.status(404).json({ success: false, message: 'Comment not found' });
+    return null;
+  }
+  if (comment.author_id !== req.user.id) {
+    res.status(403).json({ success: false, message: 'Only the author can change a comment' });
+    return null;
+  }
+  return comment;
+};
+
+// ── GET /api/tasks/:id/comments ──────────────────────────────────
+// Oldest first; replies carry `parent_id`
+router.get('/', [taskParam], validate, async (req, res) => {
+  try {
+    const task = await findTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+    const { rows } = await pool.query(
+      `SELECT ${COMMENT_COLUMNS}
+       FROM task_comments c
+       LEFT JOIN users u ON u.id = c.author_id
+       WHERE c.task_id = $1
+       ORDER BY c.created_at`,
+      [task.id]
+    );
+    res.json({ success: true, comments: rows });
+  } catch (err) {
+    logger.error('List comments error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/tasks/:id/comments ─────────────────────────────────
+// `parent_id` makes it a reply to another comment on the same task
+router.post(
+  '/',
+  [taskParam, bodyValidator, body('parent_id').optional({ values: 'null' }).isUUID().withMessage('Invalid parent ID')],
+  validate,
+  async (req, res) => {
+    const { body: text, parent_id = null } = req.body;
+    try {
+      const task = await findTask(req.params.id, req.user);
+      if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+      if (parent_id && !(await getComment(task.id, parent_id))) {
+        return res.status(404).json({ success: false, message: 'Parent comment not found' });
+      }
+
+      const { rows } = await pool.query(
+        `INSERT INTO task_comments (task_id, parent_id, author_id, body)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [task.id, parent_id, req.user.id, text]
+      );
+      logger.info('Comment added', { taskId: task.id, commentId: rows[0].id, userId: req.user.id });
+      res.status(201).json({ success: true, comment: await getComment(task.id, rows[0].id) });
+    } catch (err) {
+      logger.error('Add comment error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/tasks/:id/comments/:commentId ─────────────────────
+router.patch('/:commentId', [taskParam, commentParam, bodyValidator], validate, async (req, res) => {
+  try {
+    const comment = await ownComment(req, res);
+    if (!comment) return;
+    await pool.query(
+      'UPDATE task_comments SET body = $1, edited_at = NOW() WHERE id = $2',
+      [req.body.body, comment.id]
+    );
+    res.json({ success: true, comment: await getComment(comment.task_id, comment.id) });
+  } catch (err) {
+    logger.error('Edit comment error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── DELETE /api/tasks/:id/comments/:commentId ────────────────────
+// The comment stays in the thread as deleted so its replies keep their context
+router.delete('/:commentId', [taskParam, commentParam], validate, async (req, res) => {
+  try {
+    const comment = await ownComment(req, res);
+    if (!comment) return;
+    await pool.query(
+      'UPDATE task_comments SET body = NULL, deleted_at = NOW() WHERE id = $1',
+      [comment.id]
+    );
+    res.json({ success: true, message: 'Comment deleted' });
+  } catch (err) {
+    logger.error('Delete comment error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const router = require('express').Router({ mergeParams: true });
+const { body, param } = require('express-validator');
+const { pool, withTransaction } = require('../db');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { findTask } = require('../db/tasks');
+const { findOpenDay } = require('../db/attendance');
+const {
+  ENTRY_COLUMNS, ENTRY_FROM, TOTAL_MINUTES, getEntry, runningTimer, stopTimer, windowFor, overlapsEntry,
+} = require('../db/timeEntries');
+const logger = require('../config/logger');
+
+// Mounted at /api/tasks/:id/time — anyone who can see the task may track time
+// on it. Entries must fall inside the user's check-in window for one attendance
+// day and may not overlap each other; each user runs at most one timer.
+router.use(authenticate);
+
+const taskParam = param('id').isUUID().withMessage('Invalid task ID');
+const entryParam = param('entryId').isUUID().withMessage('Invalid entry ID');
+const noteValidator = body('note').optional({ values: 'null' }).trim().isLength({ max: 255 });
+
+const taskNotFound = (res) => res.status(404).json({ success: false, message: 'Task not found' });
+
+// The attendance day a [start, end] range of the user's can be logged against,
+// or an { error, message } for the response
+const checkRange = async (userId, start, end, excludeId = null) => {
+  if (end <= start) return { error: 400, message: 'An entry must end after it starts' };
+  if (end > new Date()) return { error: 400, message: 'Time entries cannot end in the future' };
+  const day = await windowFor(userId, start, end);
+  if (!day) return { error: 400, message: 'Time entries must fall inside one of your check-in periods' };
+  if (await overlapsEntry(userId, start, end, excludeId)) {
+    return { error: 409, message: 'This overlaps another of your time entries' };
+  }
+  return { day };
+};
+
+// Resolve the task and the user's own entry on it, or send the error
+const ownEntry = async (req, res) => {
+  const task = await findTask(req.params.id, req.user);
+  const entry = task && await getEntry(req.params.entryId);
+  if (!entry || entry.task_id !== task.id) {
+    res.status(404).json({ success: false, message: 'Time entry not found' });
+    return null;
+  }
+  if (entry.user_id !== req.user.id) {
+    res.status(403).json({ success: false, message: 'You can only change your own time entries' });
+    return null;
+  }
+  return entry;
+};
+
+// ── GET /api/tasks/:id/time ──────────────────────────────────────
+// Everyone's entries on the task, newest first, with the total
+router.get('/', [taskParam], validate, async (req, res) => {
+  try {
+    const task = await findTask(req.params.id, req.user);
+    if (!task) return taskNotFound(res);
+    const { rows } = await pool.query(
+      `SELECT ${ENTRY_COLUMNS} FROM ${ENTRY_FROM} WHERE e.task_id = $1 ORDER BY e.started_at DESC`,
+      [task.id]
+    );
+    const { rows: [total] } = await pool.query(
+      `SELECT ${TOTAL_MINUTES} AS minutes FROM task_time_entries e WHERE e.task_id = $1`,
+      [task.id]
+    );
+    res.json({ success: true, total_minutes: total.minutes, entries: rows });
+  } catch (err) {
+    logger.error('List time entries error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/tasks/:id/time/start ───────────────────────────────
+// Start a timer now. Needs an open check-in; a timer already running (on any
+// task) returns 409 with that timer.
+router.post('/start', [taskParam, noteValidator], validate, async (req, res) => {
+  try {
+    const task = await findTask(req.params.id, req.user);
+    if (!task) return taskNotFound(res);
+
+    const result = await withTransaction(async (client) => {
+      const day = await findOpenDay(req.user.id, client);
+      if (!day) return { error: 409, message: 'Check in before starting a timer' };
+
+      const running = await runningTimer(req.user.id, client);
+      if (running) {
+        return { error: 409, message: `A timer is already running on "${running.task_title}"`, timer: running };
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO task_time_entries (task_id, user_id, attendance_id, source, started_at, note)
+         VALUES ($1, $2, $3, 'timer', NOW(), $4)
+         RETURNING id`,
+        [task.id, req.user.id, day.id, req.body.note || null]
+      );
+      return { timer: await getEntry(rows[0].id, client) };
+    });
+
+    if (result.error) {
+      const { error, ...rest } = result;
+      return res.status(error).json({ success: false, ...rest });
+    }
+    logger.info('Timer started', { taskId: task.id, userId: req.user.id });
+    res.status(201).json({ success: true, timer: result.timer });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A timer is already running' });
+    }
+    logger.error('Start timer error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/tasks/:id/time/stop ────────────────────────────────
+router.post('/stop', [taskParam], validate, async (req, res) => {
+  try {
+    const task = await findTask(req.params.id, req.user);
+    if (!task) return taskNotFound(res);
+
+    const running = await runningTimer(req.user.id);
+    if (!running || running.task_id !== task.id) {
+      return res.status(404).json({ success: false, message: 'No running timer on this task' });
+    }
+    const stoppedId = await stopTimer(req.user.id, new Date());
+    logger.info('Timer stopped', { taskId: task.id, userId: req.user.id });
+    res.json({ success: true, entry: stoppedId && await getEntry(stoppedId) });
+  } catch (err) {
+    logger.error('Stop timer error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/tasks/:id/time ─────────────────────────────────────
+// Log time after the fact
+router.post(
+  '/',
+  [
+    taskParam,
+    body('started_at').isISO8601().withMessage('started_at must be a timestamp'),
+    body('ended_at').isISO8601().withMessage('ended_at must be a timestamp'),
+    noteValidator,
+  ],
+  validate,
+  async (req, res) => {
+    const start = new Date(req.body.started_at);
+    const end = new Date(req.body.ended_at);
+    try {
+      const task = await findTask(req.params.id, req.user);
+      if (!task) return taskNotFound(res);
+
+      const check = await checkRange(req.user.id, start, end);
+      if (check.error) return res.status(check.error).json({ success: false, message: check.message });
+
+      const { rows } = await pool.query(
+        `INSERT INTO task_time_entries (task_id, user_id, attendance_id, source, started_at, ended_at, note)
+         VALUES ($1, $2, $3, 'manual', $4, $5, $6)
+         RETURNING id`,
+        [task.id, req.user.id, check.day.id, start, end, req.body.note || null]
+      );
+      logger.info('Time logged', { taskId: task.id, userId: req.user.id });
+      res.status(201).json({ success: true, entry: await getEntry(rows[0].id) });
+    } catch (err) {
+      logger.error('Log time error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/tasks/:id/time/:entryId ───────────────────────────
+// Own entries only. A running timer keeps running — stop it rather than set its end.
+router.patch(
+  '/:entryId',
+  [
+    taskParam,
+    entryParam,
+    body('started_at').optional().isISO8601().withMessage('started_at must be a timestamp'),
+    body('ended_at').optional().isISO8601().withMessage('ended_at must be a timestamp'),
+    noteValidator,
+  ],
+  validate,
+  async (req, res) => {
+    const { started_at, ended_at, note } = req.body;
+    if (started_at === undefined && ended_at === undefined && note === undefined) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    try {
+      const entry = await ownEntry(req, res);
+      if (!entry) return;
+      if (!entry.ended_at && ended_at !== undefined) {
+        return res.status(400).json({ success: false, message: 'Stop the timer instead of setting its end' });
+      }
+
+      const start = started_at ? new Date(started_at) : entry.started_at;
+      const end = ended_at ? new Date(ended_at) : entry.ended_at;
+      const check = await checkRange(req.user.id, start, end || new Date(), entry.id);
+      if (check.error) return res.status(check.error).json({ success: false, message: check.message });
+
+      await pool.query(
+        `UPDATE task_time_entries
+         SET started_at = $2, ended_at = $3, attendance_id = $4, note = $5
+         WHERE id = $1`,
+        [entry.id, start, end, check.day.id, note === undefined ? entry.note : note || null]
+      );
+      res.json({ success: true, entry: await getEntry(entry.id) });
+    } catch (err) {
+      logger.error('Update time entry error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── DELETE /api/tasks/:id/time/:entryId ──────────────────────────
+router.delete('/:entryId', [taskParam, entryParam], validate, async (req, res) => {
+  try {
+    const entry = await ownEntry(req, res);
+    if (!entry) return;
+    await pool.query('DELETE FROM task_time_entries WHERE id = $1', [entry.id]);
+    res.json({ success: true, message: 'Time entry deleted' });
+  } catch (err) {
+    logger.error('Delete time entry error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
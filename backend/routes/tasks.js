@@ -1,13 +1,106 @@
 const router = require('express').Router();
 const { body, param, query } = require('express-validator');
-const { pool } = require('../db');
+const { pool, withTransaction } = require('../db');
 const { authenticate } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const logger = require('../config/logger');
+const {
+  TASK_STATUSES, FINISHED_STATUSES, TASK_COLUMNS, TASK_FROM, VISIBLE_TO, SEARCH_MATCH, SEARCH_RANK,
+  SERIES_TEMPLATE, SERIES_RULE, BOARD_ORDER, NEXT_POSITION,
+  findTask, isAssignable, positionAfter, listTransitions, transitionError, recordActivity, recordCreated, getTimeline,
+  createSeries, withNextOccurrence, applyUpdate,
+} = require('../db/tasks');
+const { findProject, projectRole } = require('../db/projects');
+const { MANAGED_BY } = require('../db/teams');
+const { FREQUENCIES, normalizeRule } = require('../utils/recurrence');
 
 router.use(authenticate);
 
+const TASK_FIELDS = ['title', 'description', 'priority', 'status', 'due_date', 'assigned_to', 'tags', 'project_id'];
+
+// Who may change what: the creator anything, the assignee only the status, and
+// an admin the status and assignee of any task. Which status changes are
+// possible at all is up to the workflow (task_status_transitions).
+const editableFields = (task, user) => {
+  if (task.created_by === user.id) return TASK_FIELDS;
+  const fields = [];
+  if (task.assigned_to === user.id || user.role === 'admin') fields.push('status');
+  if (user.role === 'admin') fields.push('assigned_to');
+  return fields;
+};
+
+// Tags are free-form labels, stored lower-case without duplicates. No commas,
+// so a list of them fits one query parameter (GET /api/tasks?tags=vpn,infra).
+const MAX_TAGS = 10;
+const normalizeTags = (tags) =>
+  Array.isArray(tags) ? [...new Set(tags.map(tag => String(tag).trim().toLowerCase()))] : tags;
+
+const tagRules = [
+  body('tags').optional().isArray({ max: MAX_TAGS }).withMessage(`tags must be a list of at most ${MAX_TAGS}`),
+  body('tags.*').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Tags must be 1–30 characters')
+    .not().contains(',').withMessage('Tags cannot contain commas'),
+  body('tags').optional().customSanitizer(normalizeTags),
+];
+
+const assigneeNotFound = (res) =>
+  res.status(404).json({ success: false, message: 'Assignee not found or inactive' });
+
+// An update checked against a status that has changed since
+const TASK_CHANGED = 'The task has changed — reload it and try again';
+
+// Why a task may not be in `projectId` with `assigneeId` as { error, message }, or
+// null. Adding a task to a project takes a member (or an admin) and an open
+// project; a project task may only be assigned to members.
+const checkProject = async (projectId, assigneeId, user, { adding }, db = pool) => {
+  if (!projectId) return null;
+  if (adding) {
+    const project = await findProject(projectId, user, db);
+    if (!project) return { error: 404, message: 'Project not found' };
+    if (project.archived_at) return { error: 409, message: 'This project is archived' };
+  }
+  if (assigneeId && !(await projectRole(projectId, assigneeId, db))) {
+    return { error: 400, message: 'The assignee is not a member of this project' };
+  }
+  return null;
+};
+
+// Why `user` may not apply `changes` (task fields → new values) to `task` as
+// { error, message }, or null. Whether a new assignee exists is up to the caller.
+const updateError = async (task, changes, user, db = pool) => {
+  const updates = Object.keys(changes);
+  const editable = editableFields(task, user);
+  const denied = updates.filter(k => !editable.includes(k));
+  if (denied.length) return { error: 403, message: `You cannot change ${denied.join(', ')} on this task` };
+  if (changes.status !== undefined && changes.status !== task.status) {
+    const refused = await transitionError(task.status, changes.status, user, db);
+    if (refused) return refused;
+  }
+  if (updates.includes('project_id') || updates.includes('assigned_to')) {
+    const projectId = updates.includes('project_id') ? changes.project_id : task.project_id;
+    const assigneeId = updates.includes('assigned_to') ? changes.assigned_to : task.assigned_to;
+    const adding = updates.includes('project_id') && projectId !== task.project_id;
+    return checkProject(projectId, assigneeId, user, { adding }, db);
+  }
+  return null;
+};
+
+// `recurrence` of POST /api/tasks and PATCH /api/tasks/:id/series. `weekdays` are
+// ISO weekdays (1 = Monday); they and `month_day` default from the due date.
+const recurrenceRules = [
+  body('recurrence').optional({ values: 'null' }).isObject().withMessage('recurrence must be an object'),
+  body('recurrence.freq').if(body('recurrence').isObject())
+    .isIn(FREQUENCIES).withMessage('freq must be daily, weekly or monthly'),
+  body('recurrence.every').optional().isInt({ min: 1, max: 365 }).withMessage('every must be 1–365').toInt(),
+  body('recurrence.weekdays').optional().isArray({ min: 1, max: 7 }).withMessage('weekdays must be a non-empty list'),
+  body('recurrence.weekdays.*').isInt({ min: 1, max: 7 }).withMessage('weekdays must be 1 (Monday) to 7 (Sunday)').toInt(),
+  body('recurrence.month_day').optional().isInt({ min: 1, max: 31 }).withMessage('month_day must be 1–31').toInt(),
+  body('recurrence.until').optional({ values: 'null' }).isISO8601().withMessage('Invalid date format'),
+  body('recurrence.count').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('count must be at least 1').toInt(),
+];
+
 // ── POST /api/tasks ──────────────────────────────────────────────
+// Assigned to the creator unless `assigned_to` names another active user
+// (null leaves it unassigned); `project_id` files it under one of your projects
 router.post(
   '/',
   [
@@ -15,19 +108,38 @@ router.post(
     body('description').optional().trim().isLength({ max: 2000 }),
     body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid priority'),
     body('due_date').optional().isISO8601().withMessage('Invalid date format'),
+    body('assigned_to').optional({ values: 'null' }).isUUID().withMessage('Invalid assignee ID'),
+    body('project_id').optional({ values: 'null' }).isUUID().withMessage('Invalid project ID'),
+    ...tagRules,
+    ...recurrenceRules,
   ],
   validate,
   async (req, res) => {
-    const { title, description, priority = 'medium', due_date } = req.body;
+    const {
+      title, description, priority = 'medium', due_date, assigned_to = req.user.id, tags = [], project_id,
+      recurrence,
+    } = req.body;
+    if (recurrence && !due_date) {
+      return res.status(400).json({ success: false, message: 'A recurring task needs a due date' });
+    }
     try {
-      const { rows } = await pool.query(
-        `INSERT INTO tasks (user_id, title, description, priority, due_date)
-         VALUES ($1, $2, $3, $4, $5)
-         RETURNING *`,
-        [req.user.id, title, description || null, priority, due_date || null]
-      );
-      logger.info('Task created', { taskId: rows[0].id, userId: req.user.id });
-      res.status(201).json({ success: true, task: rows[0] });
+      if (assigned_to && !(await isAssignable(assigned_to))) return assigneeNotFound(res);
+      const refused = await checkProject(project_id, assigned_to, req.user, { adding: true });
+      if (refused) return res.status(refused.error).json({ success: false, message: refused.message });
+
+      const task = await withTransaction(async (client) => {
+        const { rows } = await client.query(
+          `INSERT INTO tasks (created_by, assigned_to, title, description, priority, due_date, tags, project_id, position)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, ${NEXT_POSITION("'pending'")})
+           RETURNING *`,
+          [req.user.id, assigned_to, title, description || null, priority, due_date || null, tags, project_id || null]
+        );
+        await recordCreated(rows[0].id, req.user.id, client);
+        if (recurrence) await createSeries(rows[0], normalizeRule(recurrence, rows[0].due_date), client);
+        return findTask(rows[0].id, req.user, client);
+      });
+      logger.info('Task created', { taskId: task.id, userId: req.user.id, assignedTo: assigned_to });
+      res.status(201).json({ success: true, task });
     } catch (err) {
       logger.error('Create task error', { error: err.message });
       res.status(500).json({ success: false, message: 'Server error' });
@@ -35,40 +147,72 @@ router.post(
   }
 );
 
+const SCOPE_CONDITIONS = {
+  all: VISIBLE_TO('$1'),
+  assigned: 't.assigned_to = $1',
+  created: 't.created_by = $1',
+  team: `(t.created_by IN ${MANAGED_BY('$1')} OR t.assigned_to IN ${MANAGED_BY('$1')})`,
+};
+const TASK_SCOPES = ['assigned', 'created', 'team'];
+
 // ── GET /api/tasks ───────────────────────────────────────────────
+// Tasks the user can see (see VISIBLE_TO); `scope=assigned` / `scope=created`
+// narrows that to the ones they are assigned to / created, `scope=team` to those
+// of the teams they manage. `project_id` keeps one project's tasks.
+// `tags` (comma-separated) keeps tasks carrying all of
+// them; `q` is a full-text search over title, description and comments
+// (websearch syntax: "quoted phrases", -exclusions, or) and sorts by relevance.
+// `sort=position` returns them in board order instead (see POST /api/tasks/:id/move).
 router.get(
   '/',
   [
-    query('status').optional().isIn(['pending', 'in-progress', 'completed', 'cancelled']),
+    query('scope').optional().isIn(TASK_SCOPES).withMessage('scope must be assigned, created or team'),
+    query('project_id').optional().isUUID().withMessage('Invalid project ID'),
+    query('q').optional().trim().isLength({ min: 1, max: 200 }).withMessage('q must be 1–200 characters'),
+    query('tags').optional().isString().withMessage('tags must be a comma-separated list'),
+    query('status').optional().isIn(TASK_STATUSES),
     query('priority').optional().isIn(['low', 'medium', 'high']),
+    query('sort').optional().isIn(['priority', 'position']).withMessage('sort must be priority or position'),
     query('page').optional().isInt({ min: 1 }).toInt(),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   ],
   validate,
   async (req, res) => {
-    const { status, priority, page = 1, limit = 20 } = req.query;
+    const { scope, project_id, status, priority, tags, q, sort, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
 
-    const conditions = ['user_id = $1'];
+    const conditions = [SCOPE_CONDITIONS[scope || 'all']];
     const params = [req.user.id];
     let i = 2;
 
-    if (status)   { conditions.push(`status = $${i++}`);   params.push(status); }
-    if (priority) { conditions.push(`priority = $${i++}`); params.push(priority); }
+    if (project_id) { conditions.push(`t.project_id = $${i++}`); params.push(project_id); }
+    if (status)   { conditions.push(`t.status = $${i++}`);   params.push(status); }
+    if (priority) { conditions.push(`t.priority = $${i++}`); params.push(priority); }
+    const tagFilter = tags ? normalizeTags(tags.split(',')).filter(Boolean) : [];
+    if (tagFilter.length) { conditions.push(`t.tags @> $${i++}::text[]`); params.push(tagFilter); }
+
+    let rank = '';
+    if (q) {
+      const tsquery = `websearch_to_tsquery('english', $${i++})`;
+      conditions.push(SEARCH_MATCH(tsquery));
+      params.push(q);
+      rank = SEARCH_RANK(tsquery);
+    }
+    const order = sort === 'position' ? BOARD_ORDER : `${rank && 'rank DESC,'}
+           CASE t.priority WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END,
+           t.due_date ASC NULLS LAST,
+           t.created_at DESC`;
 
     const where = conditions.join(' AND ');
 
     try {
       const countResult = await pool.query(
-        `SELECT COUNT(*) FROM tasks WHERE ${where}`, params
+        `SELECT COUNT(*) FROM tasks t WHERE ${where}`, params
       );
 
       const { rows } = await pool.query(
-        `SELECT * FROM tasks WHERE ${where}
-         ORDER BY 
-           CASE priority WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END,
-           due_date ASC NULLS LAST,
-           created_at DESC
+        `SELECT ${TASK_COLUMNS}${rank && `, ${rank} AS rank`} FROM ${TASK_FROM} WHERE ${where}
+         ORDER BY ${order}
          LIMIT $${i} OFFSET $${i + 1}`,
         [...params, limit, offset]
       );
@@ -86,6 +230,36 @@ router.get(
   }
 );
 
+// ── GET /api/tasks/tags ──────────────────────────────────────────
+// Tags on the tasks the user can see, most used first
+router.get('/tags', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT tag, COUNT(*)::int AS count
+       FROM tasks t CROSS JOIN unnest(t.tags) AS tag
+       WHERE ${VISIBLE_TO('$1')}
+       GROUP BY tag
+       ORDER BY count DESC, tag`,
+      [req.user.id]
+    );
+    res.json({ success: true, tags: rows });
+  } catch (err) {
+    logger.error('List task tags error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── GET /api/tasks/workflow ──────────────────────────────────────
+// The status changes PATCH /api/tasks/:id allows; `admin_only` ones need an admin
+router.get('/workflow', async (_req, res) => {
+  try {
+    res.json({ success: true, statuses: TASK_STATUSES, transitions: await listTransitions() });
+  } catch (err) {
+    logger.error('Task workflow error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // ── GET /api/tasks/:id ───────────────────────────────────────────
 router.get(
   '/:id',
@@ -93,19 +267,41 @@ router.get(
   validate,
   async (req, res) => {
     try {
-      const { rows } = await pool.query(
-        'SELECT * FROM tasks WHERE id = $1 AND user_id = $2',
-        [req.params.id, req.user.id]
-      );
-      if (!rows.length) return res.status(404).json({ success: false, message: 'Task not found' });
-      res.json({ success: true, task: rows[0] });
+      const task = await findTask(req.params.id, req.user);
+      if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+      res.json({ success: true, task });
     } catch (err) {
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
 );
 
+// ── GET /api/tasks/:id/timeline ──────────────────────────────────
+// Comments and status / priority / due date / assignee changes, oldest first
+router.get(
+  '/:id/timeline',
+  [param('id').isUUID().withMessage('Invalid task ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const task = await findTask(req.params.id, req.user);
+      if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+      res.json({ success: true, timeline: await getTimeline(task.id) });
+    } catch (err) {
+      logger.error('Task timeline error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 // ── PATCH /api/tasks/:id ─────────────────────────────────────────
+// Fields the user may not change on this task (see editableFields) return 403.
+// A status change the workflow does not allow returns 409, an admin-only one by
+// anyone else 403. Changes to tracked fields are added to the task's activity
+// timeline, which is also where the status history comes from. A task whose status
+// changes goes to the bottom of its new board column; one whose status changed
+// while the update was being checked returns 409. On a recurring task this edits
+// only this occurrence; finishing it creates the next one, returned as `next_task`.
 router.patch(
   '/:id',
   [
@@ -113,51 +309,289 @@ router.patch(
     body('title').optional().trim().notEmpty().isLength({ max: 255 }),
     body('description').optional().trim().isLength({ max: 2000 }),
     body('priority').optional().isIn(['low', 'medium', 'high']),
-    body('status').optional().isIn(['pending', 'in-progress', 'completed', 'cancelled']),
+    body('status').optional().isIn(TASK_STATUSES),
     body('due_date').optional().isISO8601(),
+    body('assigned_to').optional({ values: 'null' }).isUUID().withMessage('Invalid assignee ID'),
+    body('project_id').optional({ values: 'null' }).isUUID().withMessage('Invalid project ID'),
+    ...tagRules,
   ],
   validate,
   async (req, res) => {
-    const allowed = ['title', 'description', 'priority', 'status', 'due_date'];
-    const updates = Object.keys(req.body).filter(k => allowed.includes(k));
+    const updates = Object.keys(req.body).filter(k => TASK_FIELDS.includes(k));
 
     if (!updates.length) {
       return res.status(400).json({ success: false, message: 'No valid fields to update' });
     }
 
-    const setClauses = updates.map((key, idx) => `${key} = $${idx + 1}`).join(', ');
-    const values = updates.map(k => req.body[k]);
+    try {
+      const task = await findTask(req.params.id, req.user);
+      if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+
+      const changes = Object.fromEntries(updates.map(k => [k, req.body[k]]));
+      if (changes.assigned_to && !(await isAssignable(changes.assigned_to))) return assigneeNotFound(res);
+      const refused = await updateError(task, changes, req.user);
+      if (refused) return res.status(refused.error).json({ success: false, message: refused.message });
+
+      const result = await withTransaction(client => applyUpdate(task, changes, req.user, client));
+      if (!result) return res.status(409).json({ success: false, message: TASK_CHANGED });
+      logger.info('Task updated', { taskId: task.id, userId: req.user.id, fields: updates });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      if (err.code === '23505') {
+        return res.status(409).json({ success: false, message: 'Another occurrence of this task is due on that date' });
+      }
+      logger.error('Update task error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── POST /api/tasks/:id/move ─────────────────────────────────────
+// Drag and drop on the board: put the task right after `after_id` in the
+// `status` column (default its own), or at the top with `after_id: null`. Who
+// may move a task, and between which statuses, is as for PATCH. The status and
+// the anchor are checked again under a lock, so a move based on a stale board
+// returns 409 rather than landing somewhere unexpected.
+router.post(
+  '/:id/move',
+  [
+    param('id').isUUID().withMessage('Invalid task ID'),
+    body('status').optional().isIn(TASK_STATUSES),
+    body('after_id').optional({ values: 'null' }).isUUID().withMessage('Invalid task ID'),
+  ],
+  validate,
+  async (req, res) => {
+    const { status, after_id = null } = req.body;
+    if (after_id === req.params.id) {
+      return res.status(400).json({ success: false, message: 'A task cannot be placed after itself' });
+    }
 
     try {
-      const { rows } = await pool.query(
-        `UPDATE tasks
-         SET ${setClauses}
-         WHERE id = $${updates.length + 1} AND user_id = $${updates.length + 2}
-         RETURNING *`,
-        [...values, req.params.id, req.user.id]
+      const task = await findTask(req.params.id, req.user);
+      if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+      if (!editableFields(task, req.user).includes('status')) {
+        return res.status(403).json({ success: false, message: 'You cannot move this task' });
+      }
+      const target = status ?? task.status;
+      if (target !== task.status) {
+        const refused = await transitionError(task.status, target, req.user);
+        if (refused) return res.status(refused.error).json({ success: false, message: refused.message });
+      }
+
+      const result = await withTransaction(async (client) => {
+        const { rows: [current] } = await client.query('SELECT status FROM tasks WHERE id = $1 FOR UPDATE', [task.id]);
+        if (current?.status !== task.status) return null;
+        const position = await positionAfter(task.id, target, after_id, req.user, client);
+        if (position === null) return null;
+
+        await client.query('UPDATE tasks SET status = $2, position = $3 WHERE id = $1', [task.id, target, position]);
+        const after = await findTask(task.id, req.user, client);
+        await recordActivity(task, after, req.user.id, client);
+        return withNextOccurrence(task, after, req.user, client);
+      });
+      if (!result) {
+        return res.status(409).json({ success: false, message: 'The board has changed — reload it and try again' });
+      }
+      res.json({ success: true, ...result });
+    } catch (err) {
+      logger.error('Move task error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── POST /api/tasks/bulk ─────────────────────────────────────────
+// Apply the same `changes` (status, priority, due_date, assigned_to) to up to
+// 100 tasks, or delete them with `delete: true`. Each task is checked as in
+// PATCH / DELETE; those that fail are left alone and reported in `results` with
+// the error they would have returned, while the rest are written in one transaction.
+const BULK_FIELDS = ['status', 'priority', 'due_date', 'assigned_to'];
+const MAX_BULK_TASKS = 100;
+
+router.post(
+  '/bulk',
+  [
+    body('ids').isArray({ min: 1, max: MAX_BULK_TASKS })
+      .withMessage(`ids must be a list of 1–${MAX_BULK_TASKS} task IDs`),
+    body('ids.*').isUUID().withMessage('Invalid task ID'),
+    body('delete').optional().isBoolean({ strict: true }).withMessage('delete must be a boolean'),
+    body('changes').optional().isObject().withMessage('changes must be an object'),
+    body('changes.priority').optional().isIn(['low', 'medium', 'high']),
+    body('changes.status').optional().isIn(TASK_STATUSES),
+    body('changes.due_date').optional().isISO8601(),
+    body('changes.assigned_to').optional({ values: 'null' }).isUUID().withMessage('Invalid assignee ID'),
+  ],
+  validate,
+  async (req, res) => {
+    const ids = [...new Set(req.body.ids)];
+    const remove = req.body.delete === true;
+    const updates = Object.keys(req.body.changes || {}).filter(k => BULK_FIELDS.includes(k));
+    const changes = Object.fromEntries(updates.map(k => [k, req.body.changes[k]]));
+
+    if (remove === Boolean(updates.length)) {
+      return res.status(400).json({ success: false, message: 'Send either changes or delete: true' });
+    }
+
+    try {
+      if (changes.assigned_to && !(await isAssignable(changes.assigned_to))) return assigneeNotFound(res);
+
+      const results = await withTransaction(async (client) => {
+        const done = [];
+        for (const id of ids) {
+          const task = await findTask(id, req.user, client);
+          let refused = null;
+          if (!task) refused = { error: 404, message: 'Task not found' };
+          else if (!remove) refused = await updateError(task, changes, req.user, client);
+          else if (task.created_by !== req.user.id) refused = { error: 403, message: 'Only the task creator can delete it' };
+          if (refused) {
+            done.push({ id, success: false, error: refused.error, message: refused.message });
+          } else if (remove) {
+            await client.query('DELETE FROM tasks WHERE id = $1', [id]);
+            done.push({ id, success: true });
+          } else {
+            // A new due date may collide with another occurrence of the series
+            await client.query('SAVEPOINT bulk_task');
+            try {
+              const result = await applyUpdate(task, changes, req.user, client);
+              await client.query('RELEASE SAVEPOINT bulk_task');
+              done.push(result ? { id, success: true, ...result } : { id, success: false, error: 409, message: TASK_CHANGED });
+            } catch (err) {
+              if (err.code !== '23505') throw err;
+              await client.query('ROLLBACK TO SAVEPOINT bulk_task');
+              done.push({ id, success: false, error: 409, message: 'Another occurrence of this task is due on that date' });
+            }
+          }
+        }
+        return done;
+      });
+
+      const succeeded = results.filter(r => r.success).length;
+      logger.info(remove ? 'Tasks deleted in bulk' : 'Tasks updated in bulk', {
+        userId: req.user.id, succeeded, failed: results.length - succeeded, fields: updates,
+      });
+      res.json({ success: true, succeeded, failed: results.length - succeeded, results });
+    } catch (err) {
+      logger.error('Bulk task error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── PATCH /api/tasks/:id/series ──────────────────────────────────
+// Edit a recurring task's whole series (creator only): template fields (title,
+// description, priority, assignee, tags) are saved for future occurrences and
+// applied to the open ones, and `recurrence` replaces the rule from the next
+// occurrence on.
+router.patch(
+  '/:id/series',
+  [
+    param('id').isUUID().withMessage('Invalid task ID'),
+    body('title').optional().trim().notEmpty().isLength({ max: 255 }),
+    body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }),
+    body('priority').optional().isIn(['low', 'medium', 'high']),
+    body('assigned_to').optional({ values: 'null' }).isUUID().withMessage('Invalid assignee ID'),
+    ...tagRules,
+    ...recurrenceRules,
+  ],
+  validate,
+  async (req, res) => {
+    const template = SERIES_TEMPLATE.filter(k => k in req.body);
+    const { recurrence } = req.body;
+    if (!template.length && !recurrence) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    try {
+      const task = await findTask(req.params.id, req.user);
+      if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+      if (!task.series_id) return res.status(400).json({ success: false, message: 'This task does not repeat' });
+      if (task.created_by !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'Only the task creator can change its series' });
+      }
+      if (task.recurrence.ended) return res.status(409).json({ success: false, message: 'This series has ended' });
+      if (req.body.assigned_to && !(await isAssignable(req.body.assigned_to))) return assigneeNotFound(res);
+
+      const rule = recurrence && normalizeRule(recurrence, task.due_date);
+      const fields = [...template, ...(rule ? SERIES_RULE : [])];
+      const values = fields.map(k => (template.includes(k) ? req.body[k] : rule[k]));
+      const setClauses = fields.map((key, idx) => `${key} = $${idx + 1}`).join(', ');
+
+      const result = await withTransaction(async (client) => {
+        await client.query(
+          `UPDATE task_series SET ${setClauses} WHERE id = $${fields.length + 1}`,
+          [...values, task.series_id]
+        );
+
+        let updated = 0;
+        if (template.length) {
+          const { rows: open } = await client.query(
+            'SELECT id FROM tasks WHERE series_id = $1 AND status <> ALL($2::text[])',
+            [task.series_id, FINISHED_STATUSES]
+          );
+          const taskClauses = template.map((key, idx) => `${key} = $${idx + 1}`).join(', ');
+          for (const { id } of open) {
+            const before = await findTask(id, req.user, client);
+            await client.query(
+              `UPDATE tasks SET ${taskClauses} WHERE id = $${template.length + 1}`,
+              [...template.map(k => req.body[k]), id]
+            );
+            await recordActivity(before, await findTask(id, req.user, client), req.user.id, client);
+          }
+          updated = open.length;
+        }
+        return { task: await findTask(task.id, req.user, client), updated };
+      });
+      logger.info('Task series updated', { seriesId: task.series_id, userId: req.user.id, fields });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      logger.error('Update task series error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── DELETE /api/tasks/:id/series ─────────────────────────────────
+// Stop a task repeating (creator only). Existing occurrences are kept.
+router.delete(
+  '/:id/series',
+  [param('id').isUUID().withMessage('Invalid task ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const task = await findTask(req.params.id, req.user);
+      if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+      if (!task.series_id) return res.status(400).json({ success: false, message: 'This task does not repeat' });
+      if (task.created_by !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'Only the task creator can change its series' });
+      }
+      await pool.query(
+        'UPDATE task_series SET ended_at = COALESCE(ended_at, NOW()) WHERE id = $1',
+        [task.series_id]
       );
-      if (!rows.length) return res.status(404).json({ success: false, message: 'Task not found' });
-      logger.info('Task updated', { taskId: rows[0].id });
-      res.json({ success: true, task: rows[0] });
+      logger.info('Task series stopped', { seriesId: task.series_id, userId: req.user.id });
+      res.json({ success: true, message: 'Task no longer repeats', task: await findTask(task.id, req.user) });
     } catch (err) {
-      logger.error('Update task error', { error: err.message });
+      logger.error('Stop task series error', { error: err.message });
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
 );
 
 // ── DELETE /api/tasks/:id ────────────────────────────────────────
+// Only the creator can delete a task; the assignee gets 403
 router.delete(
   '/:id',
   [param('id').isUUID().withMessage('Invalid task ID')],
   validate,
   async (req, res) => {
     try {
-      const { rowCount } = await pool.query(
-        'DELETE FROM tasks WHERE id = $1 AND user_id = $2',
-        [req.params.id, req.user.id]
-      );
-      if (!rowCount) return res.status(404).json({ success: false, message: 'Task not found' });
+      const task = await findTask(req.params.id, req.user);
+      if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+      if (task.created_by !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'Only the task creator can delete it' });
+      }
+      await pool.query('DELETE FROM tasks WHERE id = $1', [task.id]);
+      logger.info('Task deleted', { taskId: task.id, userId: req.user.id });
       res.json({ success: true, message: 'Task deleted' });
     } catch (err) {
       res.status(500).json({ success: false, message: 'Server error' });
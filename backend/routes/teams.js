@@ -0,0 +1,236 @@
+const router = require('express').Router();
+const { body, param, query } = require('express-validator');
+const { pool } = require('../db');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { SESSION_TOTALS } = require('../db/attendance');
+const { isAssignable } = require('../db/tasks');
+const { TEAM_COLUMNS, TEAM_FROM, getTeam, listTeamMembers } = require('../db/teams');
+const { getSetting } = require('../db/settings');
+const { localDate, daysBetween } = require('../utils/time');
+const logger = require('../config/logger');
+
+// Admins set teams up; a team's manager can see its members' attendance here and
+// their tasks through /api/tasks (scope=team)
+router.use(authenticate);
+
+const MAX_ATTENDANCE_DAYS = 31;
+
+const teamParam = param('id').isUUID().withMessage('Invalid team ID');
+const teamNotFound = (res) => res.status(404).json({ success: false, message: 'Team not found' });
+
+// Admins see every team, everyone else the teams they manage or belong to
+const canSee = (team, user, members) =>
+  user.role === 'admin' || team.manager_id === user.id || members.some(m => m.id === user.id);
+
+// ── GET /api/teams ───────────────────────────────────────────────
+router.get('/', async (req, res) => {
+  try {
+    const admin = req.user.role === 'admin';
+    const where = admin ? '' : `WHERE tm.manager_id = $1
+      OR EXISTS (SELECT 1 FROM team_members m WHERE m.team_id = tm.id AND m.user_id = $1)`;
+    const { rows } = await pool.query(
+      `SELECT ${TEAM_COLUMNS} FROM ${TEAM_FROM} ${where} ORDER BY tm.name`,
+      admin ? [] : [req.user.id]
+    );
+    res.json({ success: true, teams: rows });
+  } catch (err) {
+    logger.error('List teams error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/teams ──────────────────────────────────────────────
+router.post(
+  '/',
+  requireRole('admin'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('manager_id').optional({ values: 'null' }).isUUID().withMessage('Invalid manager ID'),
+  ],
+  validate,
+  async (req, res) => {
+    const { name, manager_id } = req.body;
+    try {
+      if (manager_id && !(await isAssignable(manager_id))) {
+        return res.status(404).json({ success: false, message: 'Manager not found or inactive' });
+      }
+      const { rows } = await pool.query(
+        'INSERT INTO teams (name, manager_id) VALUES ($1, $2) RETURNING id',
+        [name, manager_id || null]
+      );
+      logger.info('Team created', { teamId: rows[0].id, userId: req.user.id });
+      res.status(201).json({ success: true, team: await getTeam(rows[0].id) });
+    } catch (err) {
+      if (err.code === '23505') {
+        return res.status(409).json({ success: false, message: 'Team name already exists' });
+      }
+      logger.error('Create team error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/teams/:id ───────────────────────────────────────────
+router.get('/:id', [teamParam], validate, async (req, res) => {
+  try {
+    const team = await getTeam(req.params.id);
+    const members = team ? await listTeamMembers(team.id) : [];
+    if (!team || !canSee(team, req.user, members)) return teamNotFound(res);
+    res.json({ success: true, team, members });
+  } catch (err) {
+    logger.error('Get team error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── PATCH /api/teams/:id ─────────────────────────────────────────
+// Rename or change the manager (null leaves the team without one)
+router.patch(
+  '/:id',
+  requireRole('admin'),
+  [
+    teamParam,
+    body('name').optional().trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('manager_id').optional({ values: 'null' }).isUUID().withMessage('Invalid manager ID'),
+  ],
+  validate,
+  async (req, res) => {
+    const allowed = ['name', 'manager_id'];
+    const updates = Object.keys(req.body).filter(k => allowed.includes(k));
+
+    if (!updates.length) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    const setClauses = updates.map((key, idx) => `${key} = $${idx + 1}`).join(', ');
+    const values = updates.map(k => req.body[k]);
+
+    try {
+      if (req.body.manager_id && !(await isAssignable(req.body.manager_id))) {
+        return res.status(404).json({ success: false, message: 'Manager not found or inactive' });
+      }
+      const { rowCount } = await pool.query(
+        `UPDATE teams SET ${setClauses} WHERE id = $${updates.length + 1}`,
+        [...values, req.params.id]
+      );
+      if (!rowCount) return teamNotFound(res);
+      logger.info('Team updated', { teamId: req.params.id, userId: req.user.id, fields: updates });
+      res.json({ success: true, team: await getTeam(req.params.id) });
+    } catch (err) {
+      if (err.code === '23505') {
+        return res.status(409).json({ success: false, message: 'Team name already exists' });
+      }
+      logger.error('Update team error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── DELETE /api/teams/:id ────────────────────────────────────────
+router.delete('/:id', requireRole('admin'), [teamParam], validate, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query('DELETE FROM teams WHERE id = $1', [req.params.id]);
+    if (!rowCount) return teamNotFound(res);
+    logger.info('Team deleted', { teamId: req.params.id, userId: req.user.id });
+    res.json({ success: true, message: 'Team deleted' });
+  } catch (err) {
+    logger.error('Delete team error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/teams/:id/members ──────────────────────────────────
+// Adding someone already on the team is a no-op
+router.post(
+  '/:id/members',
+  requireRole('admin'),
+  [teamParam, body('user_id').isUUID().withMessage('Invalid user ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const team = await getTeam(req.params.id);
+      if (!team) return teamNotFound(res);
+      if (!(await isAssignable(req.body.user_id))) {
+        return res.status(404).json({ success: false, message: 'User not found or inactive' });
+      }
+      await pool.query(
+        'INSERT INTO team_members (team_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [team.id, req.body.user_id]
+      );
+      res.status(201).json({ success: true, members: await listTeamMembers(team.id) });
+    } catch (err) {
+      logger.error('Add team member error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── DELETE /api/teams/:id/members/:userId ────────────────────────
+router.delete(
+  '/:id/members/:userId',
+  requireRole('admin'),
+  [teamParam, param('userId').isUUID().withMessage('Invalid user ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM team_members WHERE team_id = $1 AND user_id = $2',
+        [req.params.id, req.params.userId]
+      );
+      if (!rowCount) return res.status(404).json({ success: false, message: 'Team member not found' });
+      res.json({ success: true, members: await listTeamMembers(req.params.id) });
+    } catch (err) {
+      logger.error('Remove team member error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ── GET /api/teams/:id/attendance ────────────────────────────────
+// Members' attendance between `from` and `to` (default today, at most 31 days),
+// for the team's manager and admins. Members with no record on a day are not listed.
+router.get(
+  '/:id/attendance',
+  [
+    teamParam,
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const team = await getTeam(req.params.id);
+      if (!team) return teamNotFound(res);
+      if (req.user.role !== 'admin' && team.manager_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: "Only the team's manager can see its attendance" });
+      }
+
+      const today = localDate(await getSetting('timezone'));
+      const { from = today, to = today } = req.query;
+      const days = daysBetween(from, to);
+      if (days < 0) return res.status(400).json({ success: false, message: 'from must not be after to' });
+      if (days >= MAX_ATTENDANCE_DAYS) {
+        return res.status(400).json({ success: false, message: `Range cannot exceed ${MAX_ATTENDANCE_DAYS} days` });
+      }
+
+      const { rows } = await pool.query(
+        `SELECT a.*, u.name AS user_name, u.email AS user_email,
+                totals.worked_minutes, totals.break_minutes
+         FROM attendance a
+         JOIN users u ON u.id = a.user_id
+         JOIN team_members m ON m.user_id = a.user_id AND m.team_id = $1
+         ${SESSION_TOTALS}
+         WHERE a.date BETWEEN $2 AND $3
+         ORDER BY a.date DESC, u.name ASC`,
+        [team.id, from, to]
+      );
+      res.json({ success: true, team, from, to, records: rows });
+    } catch (err) {
+      logger.error('Team attendance error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
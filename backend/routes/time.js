@@ -0,0 +1,73 @@
+const router = require('express').Router();
+const { query } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { getEntry, runningTimer, stopTimer, timeReport } = require('../db/timeEntries');
+const { localDate, addDays, daysBetween } = require('../utils/time');
+const logger = require('../config/logger');
+
+// The signed-in user's own time tracking across tasks (timers are started on
+// a task — see routes/taskTime.js)
+router.use(authenticate);
+
+const MAX_REPORT_DAYS = 366;
+
+// ── GET /api/time/running ────────────────────────────────────────
+// The running timer with its task title, or null
+router.get('/running', async (req, res) => {
+  try {
+    res.json({ success: true, timer: await runningTimer(req.user.id) });
+  } catch (err) {
+    logger.error('Running timer error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── POST /api/time/stop ──────────────────────────────────────────
+// Stop whichever timer is running
+router.post('/stop', async (req, res) => {
+  try {
+    const stoppedId = await stopTimer(req.user.id, new Date());
+    if (!stoppedId) return res.status(404).json({ success: false, message: 'No timer is running' });
+    logger.info('Timer stopped', { userId: req.user.id });
+    res.json({ success: true, entry: await getEntry(stoppedId) });
+  } catch (err) {
+    logger.error('Stop timer error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ── GET /api/time/report?from=...&to=... ─────────────────────────
+// Your tracked time per task and per attendance day (default: the last 7 days),
+// days alongside the minutes worked
+router.get(
+  '/report',
+  [
+    query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('from must be a YYYY-MM-DD date'),
+    query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('to must be a YYYY-MM-DD date'),
+  ],
+  validate,
+  async (req, res) => {
+    const today = localDate(req.user.timezone);
+    const { from = addDays(today, -6), to = today } = req.query;
+
+    const days = daysBetween(from, to);
+    if (days < 0) {
+      return res.status(400).json({ success: false, message: 'from must not be after to' });
+    }
+    if (days >= MAX_REPORT_DAYS) {
+      return res.status(400).json({ success: false, message: `Range cannot exceed ${MAX_REPORT_DAYS} days` });
+    }
+
+    try {
+      res.json({ success: true, report: await timeReport({ userId: req.user.id, from, to }) });
+    } catch (err) {
+      logger.error('Time report error', { error: err.message });
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
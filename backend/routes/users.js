@@ -0,0 +1,22 @@
+const router = require('express').Router();
+const { pool } = require('../db');
+const { authenticate } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+router.use(authenticate);
+
+// ── GET /api/users ───────────────────────────────────────────────
+// Directory of active users (id and name only) for picking task assignees
+router.get('/', async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'SELECT id, name FROM users WHERE is_active ORDER BY name'
+    );
+    res.json({ success: true, users: rows });
+  } catch (err) {
+    logger.error('List users error', { error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -16,24 +16,119 @@ CREATE TABLE IF NOT EXISTS users (
   role        VARCHAR(20)         NOT NULL DEFAULT 'employee'
                 CHECK (role IN ('admin', 'employee')),
   is_active   BOOLEAN             NOT NULL DEFAULT TRUE,
+  timezone    VARCHAR(64),                            -- IANA name; NULL = org default
+  employee_code VARCHAR(50) UNIQUE,                   -- badge / HR number used in door-access logs
   created_at  TIMESTAMPTZ         NOT NULL DEFAULT NOW(),
   updated_at  TIMESTAMPTZ         NOT NULL DEFAULT NOW()
 );
 
 CREATE INDEX idx_users_email ON users(email);
 
+-- ============================================================
+-- ORG SETTINGS TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS org_settings (
+  key         VARCHAR(64) PRIMARY KEY,                -- e.g. 'timezone'
+  value       JSONB       NOT NULL,
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================
+-- WORK SCHEDULES TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS work_schedules (
+  id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name             VARCHAR(100) UNIQUE NOT NULL,
+  start_time       TIME         NOT NULL,              -- local time in the user's timezone
+  end_time         TIME         NOT NULL,
+  grace_minutes    INTEGER      NOT NULL DEFAULT 0 CHECK (grace_minutes >= 0),
+  break_minutes    INTEGER      NOT NULL DEFAULT 0 CHECK (break_minutes >= 0), -- unpaid break within the shift
+  half_day_cutoff  TIME,                               -- in at/after or out before = half-day
+  working_days     SMALLINT[]   NOT NULL DEFAULT '{1,2,3,4,5}',  -- ISO weekdays, 1 = Mon
+  created_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_work_schedules_days CHECK (working_days <@ '{1,2,3,4,5,6,7}')
+);
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES work_schedules(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_users_schedule_id ON users(schedule_id);
+
+-- ============================================================
+-- SITES TABLE (check-in location policies)
+-- ============================================================
+-- Check-in counts as "office" from one of the site's networks, inside its
+-- geofence or by scanning one of its kiosks (only the latter with
+-- `require_kiosk`); anything else is rejected or flagged, per `enforcement`.
+CREATE TABLE IF NOT EXISTS sites (
+  id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name           VARCHAR(100) UNIQUE NOT NULL,
+  ip_ranges      CIDR[]       NOT NULL DEFAULT '{}',    -- matched against the client IP
+  latitude       DOUBLE PRECISION,                      -- geofence centre + radius
+  longitude      DOUBLE PRECISION,
+  radius_meters  INTEGER      CHECK (radius_meters > 0),
+  enforcement    VARCHAR(10)  NOT NULL DEFAULT 'reject'
+                   CHECK (enforcement IN ('reject', 'flag')),
+  require_kiosk  BOOLEAN      NOT NULL DEFAULT FALSE,   -- only a scanned kiosk code counts as on site
+  created_at     TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_sites_geofence CHECK (
+    (latitude IS NULL AND longitude IS NULL AND radius_meters IS NULL) OR
+    (latitude IS NOT NULL AND longitude IS NOT NULL AND radius_meters IS NOT NULL)
+  ),
+  CONSTRAINT chk_sites_rule CHECK (cardinality(ip_ranges) > 0 OR latitude IS NOT NULL OR require_kiosk)
+);
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS site_id UUID REFERENCES sites(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_users_site_id ON users(site_id);
+
+-- ============================================================
+-- KIOSK DEVICES TABLE
+-- ============================================================
+-- Shared screens that display a rotating check-in QR code. A device
+-- authenticates with a key shown once at registration; only its SHA-256
+-- hash is stored.
+CREATE TABLE IF NOT EXISTS kiosk_devices (
+  id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name          VARCHAR(100) NOT NULL,
+  site_id       UUID         NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  key_hash      CHAR(64)     UNIQUE NOT NULL,
+  is_active     BOOLEAN      NOT NULL DEFAULT TRUE,
+  last_seen_at  TIMESTAMPTZ,
+  created_by    UUID         REFERENCES users(id) ON DELETE SET NULL,
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_kiosk_devices_site_id ON kiosk_devices(site_id);
+
 -- ============================================================
 -- ATTENDANCE TABLE
 -- ============================================================
 CREATE TABLE IF NOT EXISTS attendance (
   id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id      UUID         NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  date         DATE         NOT NULL,                 -- YYYY-MM-DD
+  date         DATE         NOT NULL,                 -- YYYY-MM-DD in the user's timezone
   checked_in_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   checked_out_at TIMESTAMPTZ,
-  status       VARCHAR(20)  NOT NULL DEFAULT 'present'
+  status       VARCHAR(20)  NOT NULL DEFAULT 'present' -- derived from the work schedule
                  CHECK (status IN ('present', 'late', 'half-day')),
   notes        TEXT,
+  auto_closed  BOOLEAN      NOT NULL DEFAULT FALSE,    -- checked out by the end-of-day job
+  auto_close_note TEXT,
+  origin       VARCHAR(10)  NOT NULL DEFAULT 'unknown' -- per the user's site policy at check-in
+                 CHECK (origin IN ('office', 'remote', 'unknown')),
+  site_id      UUID         REFERENCES sites(id) ON DELETE SET NULL,
+  checkin_ip   INET,
+  checkin_latitude  DOUBLE PRECISION,
+  checkin_longitude DOUBLE PRECISION,
+  location_flagged  BOOLEAN NOT NULL DEFAULT FALSE,    -- outside the site under a 'flag' policy
+  kiosk_id     UUID         REFERENCES kiosk_devices(id) ON DELETE SET NULL, -- code scanned at check-in
   created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
 
   -- One record per user per day
@@ -43,26 +138,438 @@ CREATE TABLE IF NOT EXISTS attendance (
 CREATE INDEX idx_attendance_user_id ON attendance(user_id);
 CREATE INDEX idx_attendance_date    ON attendance(date);
 
+-- ============================================================
+-- ATTENDANCE SESSIONS TABLE
+-- ============================================================
+-- Work intervals and typed breaks within an attendance day.
+-- Worked time is the sum of the 'work' intervals.
+CREATE TABLE IF NOT EXISTS attendance_sessions (
+  id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  attendance_id  UUID         NOT NULL REFERENCES attendance(id) ON DELETE CASCADE,
+  kind           VARCHAR(20)  NOT NULL DEFAULT 'work'
+                   CHECK (kind IN ('work', 'lunch', 'personal')),
+  started_at     TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  ended_at       TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_attendance_sessions_range CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+CREATE INDEX idx_attendance_sessions_attendance_id ON attendance_sessions(attendance_id);
+
+-- At most one open interval per day
+CREATE UNIQUE INDEX uq_attendance_sessions_open
+  ON attendance_sessions(attendance_id) WHERE ended_at IS NULL;
+
+-- ============================================================
+-- ATTENDANCE CORRECTIONS
+-- ============================================================
+-- Employee-proposed in/out times for a business date, applied on approval
+CREATE TABLE IF NOT EXISTS attendance_corrections (
+  id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id           UUID        NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  attendance_id     UUID        REFERENCES attendance(id) ON DELETE SET NULL, -- NULL = no record yet
+  date              DATE        NOT NULL,
+  checked_in_at     TIMESTAMPTZ,                     -- proposed; NULL = keep current
+  checked_out_at    TIMESTAMPTZ,
+  reason            TEXT        NOT NULL,
+  status            VARCHAR(20) NOT NULL DEFAULT 'pending'
+                      CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+  reviewed_by       UUID        REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at       TIMESTAMPTZ,
+  review_note       TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_attendance_corrections_times
+    CHECK (checked_in_at IS NOT NULL OR checked_out_at IS NOT NULL),
+  CONSTRAINT chk_attendance_corrections_range
+    CHECK (checked_out_at IS NULL OR checked_in_at IS NULL OR checked_out_at > checked_in_at)
+);
+
+CREATE INDEX idx_attendance_corrections_user_id ON attendance_corrections(user_id);
+CREATE INDEX idx_attendance_corrections_status  ON attendance_corrections(status);
+
+-- Values an attendance row held before a correction was applied (payroll audit)
+CREATE TABLE IF NOT EXISTS attendance_history (
+  id                       UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  attendance_id            UUID        NOT NULL REFERENCES attendance(id) ON DELETE CASCADE,
+  correction_id            UUID        REFERENCES attendance_corrections(id) ON DELETE SET NULL,
+  previous_checked_in_at   TIMESTAMPTZ,              -- NULL = record created by the correction
+  previous_checked_out_at  TIMESTAMPTZ,
+  previous_status          VARCHAR(20),
+  previous_sessions        JSONB       NOT NULL DEFAULT '[]',
+  changed_by               UUID        REFERENCES users(id) ON DELETE SET NULL,
+  changed_at               TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_attendance_history_attendance_id ON attendance_history(attendance_id);
+
+-- ============================================================
+-- NOTIFICATIONS TABLE
+-- ============================================================
+-- In-app prompts, e.g. "you were checked out automatically — submit the real time"
+CREATE TABLE IF NOT EXISTS notifications (
+  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id     UUID        NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type        VARCHAR(50) NOT NULL,                   -- e.g. 'auto_checkout'
+  message     TEXT        NOT NULL,
+  data        JSONB       NOT NULL DEFAULT '{}',
+  read_at     TIMESTAMPTZ,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_user_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- ============================================================
+-- HOLIDAYS TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS holidays (
+  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  date        DATE         UNIQUE NOT NULL,
+  name        VARCHAR(255) NOT NULL,
+  created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================
+-- WORKING DAYS
+-- ============================================================
+-- Whether a date is a working day for a user: not an org holiday, and one of
+-- the user's schedule working_days — falling back to the org 'working_days'
+-- setting, then Mon–Fri.
+CREATE OR REPLACE FUNCTION is_working_day(p_user_id UUID, p_date DATE)
+RETURNS BOOLEAN AS $$
+  SELECT NOT EXISTS (SELECT 1 FROM holidays h WHERE h.date = p_date)
+     AND EXTRACT(ISODOW FROM p_date)::int = ANY(COALESCE(
+       (SELECT s.working_days
+        FROM users u
+        JOIN work_schedules s ON s.id = u.schedule_id
+        WHERE u.id = p_user_id),
+       (SELECT ARRAY(SELECT jsonb_array_elements_text(o.value)::smallint)
+        FROM org_settings o
+        WHERE o.key = 'working_days'),
+       '{1,2,3,4,5}'
+     ))
+$$ LANGUAGE sql STABLE;
+
+-- ============================================================
+-- LEAVE TABLES
+-- ============================================================
+CREATE TABLE IF NOT EXISTS leave_types (
+  id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code          VARCHAR(20)  UNIQUE NOT NULL,          -- sick | annual | unpaid
+  name          VARCHAR(100) NOT NULL,
+  yearly_days   INTEGER      CHECK (yearly_days >= 0), -- NULL = unlimited
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO leave_types (code, name, yearly_days) VALUES
+  ('sick',   'Sick leave',   10),
+  ('annual', 'Annual leave', 20),
+  ('unpaid', 'Unpaid leave', NULL)
+ON CONFLICT (code) DO NOTHING;
+
+-- Per-user allowance per calendar year, created on first use from yearly_days
+CREATE TABLE IF NOT EXISTS leave_balances (
+  user_id        UUID        NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  leave_type_id  UUID        NOT NULL REFERENCES leave_types(id) ON DELETE CASCADE,
+  year           INTEGER     NOT NULL,
+  allocated      INTEGER     CHECK (allocated >= 0),   -- NULL = unlimited
+  used           INTEGER     NOT NULL DEFAULT 0 CHECK (used >= 0),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (user_id, leave_type_id, year)
+);
+
+CREATE TABLE IF NOT EXISTS leave_requests (
+  id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id        UUID        NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  leave_type_id  UUID        NOT NULL REFERENCES leave_types(id),
+  start_date     DATE        NOT NULL,
+  end_date       DATE        NOT NULL,
+  days           INTEGER     NOT NULL CHECK (days > 0), -- working days in the range
+  reason         TEXT,
+  status         VARCHAR(20) NOT NULL DEFAULT 'pending'
+                   CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+  reviewed_by    UUID        REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at    TIMESTAMPTZ,
+  review_note    TEXT,
+  days_by_year   JSONB,                                 -- [{ year, days }] drawn from balances on approval
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_leave_requests_range CHECK (end_date >= start_date)
+);
+
+CREATE INDEX idx_leave_requests_user_id ON leave_requests(user_id);
+CREATE INDEX idx_leave_requests_status  ON leave_requests(status);
+
+-- One row per approved leave day (working days only)
+CREATE OR REPLACE VIEW leave_days AS
+  SELECT l.id AS leave_request_id, l.user_id, d::date AS date, t.code AS leave_type
+  FROM leave_requests l
+  JOIN leave_types t ON t.id = l.leave_type_id
+  CROSS JOIN LATERAL generate_series(l.start_date, l.end_date, INTERVAL '1 day') d
+  WHERE l.status = 'approved' AND is_working_day(l.user_id, d::date);
+
+-- ============================================================
+-- DAILY REPORTS TABLE
+-- ============================================================
+-- Who was missing, late or still checked in on a date, as it stood when the
+-- report was generated (by the daily job or an admin). One report per date.
+CREATE TABLE IF NOT EXISTS daily_reports (
+  date          DATE        PRIMARY KEY,
+  absent        JSONB       NOT NULL DEFAULT '[]',    -- working day, no check-in, not on leave
+  late          JSONB       NOT NULL DEFAULT '[]',
+  open_sessions JSONB       NOT NULL DEFAULT '[]',    -- checked in, not yet checked out
+  generated_by  UUID        REFERENCES users(id) ON DELETE SET NULL, -- NULL = the daily job
+  generated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================
+-- TEAMS
+-- ============================================================
+-- Users grouped under a manager, who can see their members' attendance and
+-- tasks. A user may belong to several teams. Managed by admins.
+CREATE TABLE IF NOT EXISTS teams (
+  id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name         VARCHAR(100) NOT NULL UNIQUE,
+  manager_id   UUID         REFERENCES users(id) ON DELETE SET NULL,
+  created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_teams_manager_id ON teams(manager_id);
+
+CREATE TABLE IF NOT EXISTS team_members (
+  team_id      UUID        NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  user_id      UUID        NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  added_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (team_id, user_id)
+);
+
+CREATE INDEX idx_team_members_user_id ON team_members(user_id);
+
+-- ============================================================
+-- PROJECTS
+-- ============================================================
+-- Tasks grouped under a project are visible to all of its members. Owners
+-- manage the project and its members; any member may add tasks to it.
+CREATE TABLE IF NOT EXISTS projects (
+  id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name         VARCHAR(100) NOT NULL,
+  description  TEXT,
+  created_by   UUID         REFERENCES users(id) ON DELETE SET NULL,
+  archived_at  TIMESTAMPTZ,                           -- no new tasks once set
+  created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS project_members (
+  project_id   UUID        NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id      UUID        NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role         VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+  added_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (project_id, user_id)
+);
+
+CREATE INDEX idx_project_members_user_id ON project_members(user_id);
+
+-- ============================================================
+-- TASK SERIES (recurring tasks)
+-- ============================================================
+-- A recurrence rule and the template its occurrences are copied from. Each
+-- occurrence is an ordinary task pointing back here; the next one is created
+-- when the latest is finished or its due date passes (jobs/recurringTasks.js).
+CREATE TABLE IF NOT EXISTS task_series (
+  id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  created_by   UUID         NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  assigned_to  UUID         REFERENCES users(id) ON DELETE SET NULL,
+  title        VARCHAR(255) NOT NULL,
+  description  TEXT,
+  priority     VARCHAR(20)  NOT NULL DEFAULT 'medium'
+                 CHECK (priority IN ('low', 'medium', 'high')),
+  tags         TEXT[]       NOT NULL DEFAULT '{}',
+  freq         VARCHAR(10)  NOT NULL CHECK (freq IN ('daily', 'weekly', 'monthly')),
+  every        SMALLINT     NOT NULL DEFAULT 1 CHECK (every BETWEEN 1 AND 365),
+  weekdays     SMALLINT[],                             -- weekly: ISO weekdays (1 = Monday)
+  month_day    SMALLINT     CHECK (month_day BETWEEN 1 AND 31), -- monthly: day of month
+  until        DATE,                                   -- last possible due date
+  count        INTEGER      CHECK (count >= 1),        -- total occurrences
+  occurrences  INTEGER      NOT NULL DEFAULT 1,        -- created so far
+  ended_at     TIMESTAMPTZ,                            -- rule ran out or was stopped
+  created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_task_series_rule CHECK (
+    (freq <> 'weekly'  OR cardinality(weekdays) > 0) AND
+    (freq <> 'monthly' OR month_day IS NOT NULL)
+  )
+);
+
 -- ============================================================
 -- TASKS TABLE
 -- ============================================================
+-- Visible to the creator, the assignee, members of the task's project and the
+-- managers of the creator's or assignee's teams. The assignee may change the
+-- status; everything else, and deleting, is up to the creator (admins may
+-- change the status and reassign).
 CREATE TABLE IF NOT EXISTS tasks (
   id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id      UUID         NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_by   UUID         NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  assigned_to  UUID         REFERENCES users(id) ON DELETE SET NULL, -- NULL = unassigned
   title        VARCHAR(255) NOT NULL,
   description  TEXT,
   priority     VARCHAR(20)  NOT NULL DEFAULT 'medium'
                  CHECK (priority IN ('low', 'medium', 'high')),
   status       VARCHAR(20)  NOT NULL DEFAULT 'pending'
-                 CHECK (status IN ('pending', 'in-progress', 'completed', 'cancelled')),
+                 CHECK (status IN ('pending', 'in-progress', 'review', 'completed', 'cancelled')),
   due_date     DATE,
+  tags         TEXT[]       NOT NULL DEFAULT '{}',  -- lower-case labels, see routes/tasks.js
+  series_id    UUID         REFERENCES task_series(id) ON DELETE SET NULL, -- recurring tasks
+  project_id   UUID         REFERENCES projects(id) ON DELETE SET NULL,
+  position     NUMERIC      NOT NULL DEFAULT 0,     -- order within its status column on the board
   created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
   updated_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW()
 );
 
-CREATE INDEX idx_tasks_user_id ON tasks(user_id);
+-- Tasks tables from before the creator / assignee split: add the newer columns,
+-- and the old owner (user_id) becomes both creator and assignee
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS created_by  UUID REFERENCES users(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS tags        TEXT[]  NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS series_id   UUID REFERENCES task_series(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS project_id  UUID REFERENCES projects(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS position    NUMERIC NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'tasks' AND column_name = 'user_id') THEN
+    UPDATE tasks SET created_by = user_id, assigned_to = user_id WHERE created_by IS NULL;
+    ALTER TABLE tasks ALTER COLUMN created_by SET NOT NULL;
+    ALTER TABLE tasks DROP COLUMN user_id;
+  END IF;
+END $$;
+
+CREATE INDEX idx_tasks_created_by  ON tasks(created_by);
+CREATE INDEX idx_tasks_assigned_to ON tasks(assigned_to);
 CREATE INDEX idx_tasks_status  ON tasks(status);
 CREATE INDEX idx_tasks_due_date ON tasks(due_date);
+CREATE INDEX idx_tasks_project_id ON tasks(project_id);
+CREATE INDEX idx_tasks_status_position ON tasks(status, position);
+CREATE UNIQUE INDEX idx_tasks_series_due ON tasks(series_id, due_date);
+CREATE INDEX idx_tasks_tags ON tasks USING GIN (tags);
+
+-- Full-text search (`q` on GET /api/tasks). The expressions must match
+-- TASK_DOCUMENT / COMMENT_DOCUMENT in db/tasks.js for these indexes to be used.
+CREATE INDEX idx_tasks_search ON tasks USING GIN ((
+  setweight(to_tsvector('english', title), 'A') ||
+  setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+));
+
+-- Status changes PATCH /api/tasks/:id allows; any other pair is refused, and
+-- admin_only ones need an admin. Replaced as a whole at /api/admin/task-workflow.
+-- Each change taken is kept in task_activity (kind 'status').
+CREATE TABLE IF NOT EXISTS task_status_transitions (
+  from_status  VARCHAR(20) NOT NULL
+                 CHECK (from_status IN ('pending', 'in-progress', 'review', 'completed', 'cancelled')),
+  to_status    VARCHAR(20) NOT NULL
+                 CHECK (to_status IN ('pending', 'in-progress', 'review', 'completed', 'cancelled')),
+  admin_only   BOOLEAN     NOT NULL DEFAULT FALSE,
+
+  PRIMARY KEY (from_status, to_status),
+  CONSTRAINT chk_task_status_transitions_change CHECK (from_status <> to_status)
+);
+
+-- Default workflow: review is an optional step before completion, and
+-- reopening a finished task is up to an admin
+INSERT INTO task_status_transitions (from_status, to_status, admin_only) VALUES
+  ('pending',     'in-progress', FALSE),
+  ('pending',     'cancelled',   FALSE),
+  ('in-progress', 'pending',     FALSE),
+  ('in-progress', 'review',      FALSE),
+  ('in-progress', 'completed',   FALSE),
+  ('in-progress', 'cancelled',   FALSE),
+  ('review',      'in-progress', FALSE),
+  ('review',      'completed',   FALSE),
+  ('completed',   'in-progress', TRUE),
+  ('cancelled',   'pending',     TRUE)
+ON CONFLICT DO NOTHING;
+
+-- Discussion on a task. Replies point at their parent comment; deleting a
+-- comment blanks it (deleted_at) so replies keep their place in the thread.
+CREATE TABLE IF NOT EXISTS task_comments (
+  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  task_id     UUID        NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  parent_id   UUID        REFERENCES task_comments(id) ON DELETE CASCADE,
+  author_id   UUID        REFERENCES users(id) ON DELETE SET NULL,
+  body        TEXT,                                   -- NULL once deleted
+  edited_at   TIMESTAMPTZ,
+  deleted_at  TIMESTAMPTZ,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_task_comments_body CHECK (body IS NOT NULL OR deleted_at IS NOT NULL)
+);
+
+CREATE INDEX idx_task_comments_task_id ON task_comments(task_id);
+CREATE INDEX idx_task_comments_search ON task_comments
+  USING GIN ((to_tsvector('english', COALESCE(body, ''))));
+
+-- Steps of a task, in `position` order. The creator manages the list; the
+-- assignee can tick items off.
+CREATE TABLE IF NOT EXISTS task_checklist_items (
+  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  task_id     UUID         NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  title       VARCHAR(255) NOT NULL,
+  position    INTEGER      NOT NULL DEFAULT 0,
+  is_done     BOOLEAN      NOT NULL DEFAULT FALSE,
+  done_at     TIMESTAMPTZ,
+  done_by     UUID         REFERENCES users(id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_task_checklist_items_task_id ON task_checklist_items(task_id, position);
+
+-- Changes to a task's status, priority, due date and assignee, with who made them
+CREATE TABLE IF NOT EXISTS task_activity (
+  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  task_id     UUID        NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  actor_id    UUID        REFERENCES users(id) ON DELETE SET NULL,
+  kind        VARCHAR(20) NOT NULL
+                CHECK (kind IN ('created', 'status', 'priority', 'due_date', 'assigned_to')),
+  from_value  TEXT,
+  to_value    TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_task_activity_task_id ON task_activity(task_id);
+
+-- Time a user spent on a task, inside one of their attendance days' check-in
+-- window. A running timer has no ended_at; a user has at most one.
+CREATE TABLE IF NOT EXISTS task_time_entries (
+  id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  task_id        UUID         NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  user_id        UUID         NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  attendance_id  UUID         NOT NULL REFERENCES attendance(id) ON DELETE CASCADE,
+  source         VARCHAR(10)  NOT NULL DEFAULT 'timer' CHECK (source IN ('timer', 'manual')),
+  started_at     TIMESTAMPTZ  NOT NULL,
+  ended_at       TIMESTAMPTZ,                          -- NULL = timer running
+  note           VARCHAR(255),
+  created_at     TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_task_time_entries_range CHECK (ended_at IS NULL OR ended_at > started_at)
+);
+
+CREATE INDEX idx_task_time_entries_task_id ON task_time_entries(task_id);
+CREATE INDEX idx_task_time_entries_attendance_id ON task_time_entries(attendance_id);
+CREATE INDEX idx_task_time_entries_user ON task_time_entries(user_id, started_at);
+CREATE UNIQUE INDEX idx_task_time_entries_running ON task_time_entries(user_id) WHERE ended_at IS NULL;
 
 -- ============================================================
 -- AUTO-UPDATE updated_at TRIGGER
@@ -82,3 +589,43 @@ CREATE TRIGGER trg_users_updated_at
 CREATE TRIGGER trg_tasks_updated_at
   BEFORE UPDATE ON tasks
   FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER trg_teams_updated_at
+  BEFORE UPDATE ON teams
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER trg_projects_updated_at
+  BEFORE UPDATE ON projects
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER trg_task_series_updated_at
+  BEFORE UPDATE ON task_series
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER trg_task_time_entries_updated_at
+  BEFORE UPDATE ON task_time_entries
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER trg_task_checklist_items_updated_at
+  BEFORE UPDATE ON task_checklist_items
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER trg_work_schedules_updated_at
+  BEFORE UPDATE ON work_schedules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER trg_sites_updated_at
+  BEFORE UPDATE ON sites
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER trg_kiosk_devices_updated_at
+  BEFORE UPDATE ON kiosk_devices
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER trg_leave_requests_updated_at
+  BEFORE UPDATE ON leave_requests
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER trg_attendance_corrections_updated_at
+  BEFORE UPDATE ON attendance_corrections
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
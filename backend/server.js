@@ -5,6 +5,7 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const logger = require('./config/logger');
 const { migrate } = require('./db');
+const { startJobs } = require('./jobs');
 
 // ── Validate required env vars ───────────────────────────────────
 const REQUIRED_ENV = ['DB_HOST', 'DB_NAME', 'DB_USER', 'DB_PASSWORD', 'JWT_SECRET'];
@@ -34,6 +35,7 @@ app.use(cors({
   },
   methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition'],   // export downloads read their filename from it
   credentials: true,
 }));
 
@@ -69,8 +71,30 @@ app.get('/health', (_req, res) => {
 
 // ── Routes ───────────────────────────────────────────────────────
 app.use('/api/auth',       authLimiter, require('./routes/auth'));
+app.use('/api/attendance/corrections',  require('./routes/corrections'));
 app.use('/api/attendance',              require('./routes/attendance'));
+app.use('/api/tasks/:id/comments',      require('./routes/taskComments'));
+app.use('/api/tasks/:id/checklist',     require('./routes/taskChecklist'));
+app.use('/api/tasks/:id/time',          require('./routes/taskTime'));
 app.use('/api/tasks',                   require('./routes/tasks'));
+app.use('/api/projects',                require('./routes/projects'));
+app.use('/api/teams',                   require('./routes/teams'));
+app.use('/api/users',                   require('./routes/users'));
+app.use('/api/time',                    require('./routes/time'));
+app.use('/api/leave',                   require('./routes/leave'));
+app.use('/api/notifications',           require('./routes/notifications'));
+app.use('/api/kiosk',                   require('./routes/kiosk'));
+app.use('/api/admin/attendance',        require('./routes/admin/attendance'));
+app.use('/api/admin/settings',          require('./routes/admin/settings'));
+app.use('/api/admin/schedules',         require('./routes/admin/schedules'));
+app.use('/api/admin/sites',             require('./routes/admin/sites'));
+app.use('/api/admin/kiosks',            require('./routes/admin/kiosks'));
+app.use('/api/admin/users',             require('./routes/admin/users'));
+app.use('/api/admin/leave',             require('./routes/admin/leave'));
+app.use('/api/admin/holidays',          require('./routes/admin/holidays'));
+app.use('/api/admin/corrections',       require('./routes/admin/corrections'));
+app.use('/api/admin/reports',           require('./routes/admin/reports'));
+app.use('/api/admin/task-workflow',     require('./routes/admin/taskWorkflow'));
 
 // ── 404 Handler ──────────────────────────────────────────────────
 app.use((_req, res) => {
@@ -92,6 +116,7 @@ const PORT = parseInt(process.env.PORT, 10) || 5000;
     app.listen(PORT, '0.0.0.0', () => {
       logger.info(`🚀 Server running on port ${PORT} [${process.env.NODE_ENV}]`);
     });
+    startJobs();
   } catch (err) {
     logger.error('Failed to start server', { error: err.message });
     process.exit(1);
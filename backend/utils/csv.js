@@ -0,0 +1,62 @@
+// ── Minimal CSV (RFC 4180) reader ────────────────────────────────
+// Returns each record as { line, fields } where `line` is the 1-based line the
+// record starts on. Handles quoted fields containing delimiters, doubled quotes
+// and line breaks. A leading BOM and blank lines are ignored. The delimiter
+// (comma, semicolon or tab) is taken from whichever is most frequent in the
+// first line, as door-access systems differ.
+
+const DELIMITERS = [',', ';', '\t'];
+
+const detectDelimiter = (text) => {
+  const first = text.split(/\r?\n/, 1)[0];
+  const count = (d) => first.split(d).length - 1;
+  return DELIMITERS.reduce((best, d) => (count(d) > count(best) ? d : best), ',');
+};
+
+const parseCsv = (input) => {
+  const text = input.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text);
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') records.push({ line: startLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      startLine = ++line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || fields.length) endRecord();
+  return records;
+};
+
+module.exports = { parseCsv };
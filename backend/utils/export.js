@@ -0,0 +1,103 @@
+const ExcelJS = require('exceljs');
+
+// ── Spreadsheet exports ──────────────────────────────────────────
+// Rows are written to the response as they arrive, so an export of any size
+// streams straight from the database cursor to the client.
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Column sets shared by the user and admin export routes
+const EMPLOYEE_COLUMNS = [
+  { key: 'user_name', header: 'Name', width: 24 },
+  { key: 'user_email', header: 'Email', width: 28 },
+];
+
+const ATTENDANCE_COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'status', header: 'Status', width: 10 },
+  { key: 'leave_type', header: 'Leave type', width: 12 },
+  { key: 'checked_in_at', header: 'Checked in (UTC)', width: 20 },
+  { key: 'checked_out_at', header: 'Checked out (UTC)', width: 20 },
+  { key: 'worked_minutes', header: 'Worked (min)', width: 12 },
+  { key: 'break_minutes', header: 'Breaks (min)', width: 12 },
+  { key: 'auto_closed', header: 'Auto-closed', width: 12 },
+  { key: 'origin', header: 'Origin', width: 10 },
+  { key: 'location_flagged', header: 'Location flagged', width: 16 },
+  { key: 'notes', header: 'Notes', width: 40 },
+];
+
+const TIMESHEET_COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'working_day', header: 'Working day', width: 12 },
+  { key: 'holiday_name', header: 'Holiday', width: 20 },
+  { key: 'leave_type', header: 'Leave type', width: 12 },
+  { key: 'status', header: 'Status', width: 10 },
+  { key: 'worked_minutes', header: 'Worked (min)', width: 12 },
+  { key: 'expected_minutes', header: 'Expected (min)', width: 14 },
+  { key: 'overtime_minutes', header: 'Overtime (min)', width: 14 },
+  { key: 'late', header: 'Late', width: 8 },
+  { key: 'absent', header: 'Absent', width: 8 },
+];
+
+// One CSV field (RFC 4180). Text starting with a formula character is prefixed
+// with a quote so spreadsheet apps don't evaluate user-supplied notes.
+const csvField = (value) => {
+  if (value == null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves once the response can take more data — false if the client went away
+const drained = (res) => new Promise((resolve) => {
+  const done = (ok) => () => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    resolve(ok);
+  };
+  const onDrain = done(true);
+  const onClose = done(false);
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+});
+
+// Send `rows` (an array or async iterable of objects) as a CSV or XLSX download
+// named `filename`, with one column per entry in `columns`
+async function streamExport(res, { format, filename, columns, rows }) {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'csv') {
+    // BOM so Excel opens the file as UTF-8
+    res.write(`\uFEFF${columns.map(c => csvField(c.header)).join(',')}\r\n`);
+    for await (const row of rows) {
+      const line = `${columns.map(c => csvField(row[c.key])).join(',')}\r\n`;
+      if (!res.write(line) && !(await drained(res))) break;
+    }
+    res.end();
+    return;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet(filename.slice(0, 31));
+  sheet.columns = columns.map(({ key, header, width }) => ({ key, header, width }));
+  for await (const row of rows) {
+    if (res.destroyed) break;
+    sheet.addRow(row).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EMPLOYEE_COLUMNS,
+  ATTENDANCE_COLUMNS,
+  TIMESHEET_COLUMNS,
+  streamExport,
+};
@@ -0,0 +1,19 @@
+// ── Location helpers for check-in policies ───────────────────────
+
+const EARTH_RADIUS_M = 6371000;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle (haversine) distance in metres between two { latitude, longitude }
+const distanceMeters = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+};
+
+// Node reports IPv4 clients on a dual-stack socket as ::ffff:a.b.c.d — unwrap them
+// so they match IPv4 ranges
+const normalizeIp = (ip) => (ip ? ip.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1') : null);
+
+module.exports = { distanceMeters, normalizeIp };
@@ -0,0 +1,62 @@
+const { isValidDate, addDays, daysBetween } = require('./time');
+
+// ── Minimal iCalendar (RFC 5545) reader for holiday feeds ───────
+// Extracts VEVENTs as { date, name } per day. Multi-day all-day events are
+// expanded (DTEND is exclusive); recurring events (RRULE) are not expanded
+// and are reported back as skipped.
+
+// Folded lines continue with a leading space or tab
+const unfold = (text) => text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+const unescapeText = (value) =>
+  value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+
+// DTSTART;VALUE=DATE:20250101 or DTSTART:20250101T000000Z → '2025-01-01'.
+// Dates that do not exist (20251345) are null.
+const parseDate = (value) => {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  const date = m && `${m[1]}-${m[2]}-${m[3]}`;
+  return date && isValidDate(date) ? date : null;
+};
+
+const MAX_EVENT_DAYS = 31;
+
+const parseHolidays = (text) => {
+  const holidays = [];
+  const skipped = [];
+  let event = null;
+
+  for (const line of unfold(text)) {
+    if (line === 'BEGIN:VEVENT') { event = {}; continue; }
+    if (!event) continue;
+
+    if (line === 'END:VEVENT') {
+      const start = parseDate(event.DTSTART || '');
+      const name = unescapeText(event.SUMMARY || '') || 'Holiday';
+      if (!start) {
+        skipped.push({ name, reason: 'Missing or invalid DTSTART' });
+      } else if (event.RRULE) {
+        skipped.push({ name, date: start, reason: 'Recurring events are not supported' });
+      } else {
+        // All-day DTEND is exclusive; timed or missing DTEND means a single day
+        const end = parseDate(event.DTEND || '');
+        const days = end && end > start && !event.DTEND.includes('T')
+          ? Math.min(daysBetween(start, end), MAX_EVENT_DAYS)
+          : 1;
+        for (let i = 0; i < days; i++) holidays.push({ date: addDays(start, i), name });
+      }
+      event = null;
+      continue;
+    }
+
+    // NAME;PARAM=x:VALUE — parameters are dropped, the value kept verbatim
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const key = line.slice(0, colon).split(';')[0].toUpperCase();
+    event[key] = line.slice(colon + 1);
+  }
+
+  return { holidays, skipped };
+};
+
+module.exports = { parseHolidays };
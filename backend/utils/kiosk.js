@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// ── Kiosk device keys and check-in codes ─────────────────────────
+
+// A kiosk shows a new code every KIOSK_CODE_SECONDS; each one stays valid a little
+// longer so a scan made just before the screen changes still goes through.
+const KIOSK_CODE_SECONDS = 30;
+const KIOSK_CODE_TTL_SECONDS = 45;
+
+// Device keys are random and only ever stored as a SHA-256 hash
+const generateDeviceKey = () => crypto.randomBytes(32).toString('base64url');
+const hashDeviceKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Signed with the app secret but a separate audience, so a kiosk code can never
+// pass as a user session token (those carry no audience). → { token, expiresAt }
+const signKioskCode = (kioskId) => {
+  const token = jwt.sign({ kioskId }, process.env.JWT_SECRET, { audience: 'kiosk', expiresIn: KIOSK_CODE_TTL_SECONDS });
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+// Kiosk id from a scanned code, or null if it is forged or expired
+const verifyKioskCode = (code) => {
+  try {
+    return jwt.verify(code, process.env.JWT_SECRET, { audience: 'kiosk' }).kioskId || null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  KIOSK_CODE_SECONDS, KIOSK_CODE_TTL_SECONDS, generateDeviceKey, hashDeviceKey, signKioskCode, verifyKioskCode,
+};
@@ -0,0 +1,78 @@
+const { isValidDate, zonedInstant } = require('./time');
+const { businessDate } = require('./schedule');
+
+// ── Door-access punch logs ───────────────────────────────────────
+// Turns raw punches (one per CSV row) into attendance days made of in → out
+// intervals. Problems are reported per CSV line rather than thrown.
+
+const DIRECTIONS = { in: 'in', entry: 'in', out: 'out', exit: 'out' };
+
+// Longest in → out interval accepted as a single session
+const MAX_SESSION_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD HH:MM[:SS]' (or with a T) → Date. A trailing Z or ±HH:MM offset
+// makes it absolute; otherwise it is wall-clock time in `timeZone`. Dates and
+// times that do not exist (2025-02-30, 25:00, 09:61) are null.
+const parsePunchTime = (value, timeZone) => {
+  const m = /^(\d{4}-\d{2}-\d{2})[T ]((\d{2}):(\d{2})(?::(\d{2}))?)(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(value.trim());
+  if (!m || !isValidDate(m[1])) return null;
+  const [, date, time, hours, minutes, seconds = '00', zone] = m;
+  if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) return null;
+  const at = zone
+    ? new Date(`${date}T${time}${zone.length === 5 ? `${zone.slice(0, 3)}:${zone.slice(3)}` : zone.toUpperCase()}`)
+    : zonedInstant(timeZone, date, time);
+  return Number.isNaN(at.getTime()) ? null : at;
+};
+
+const parseDirection = (value) => DIRECTIONS[value.trim().toLowerCase()] || null;
+
+// Pair one user's punches into intervals. Punches without a direction alternate
+// in / out within each business date.
+//
+// punches: [{ line, at: Date, direction: 'in' | 'out' | null }]
+// → { days: [{ date, sessions: [{ started_at, ended_at }], lines }], errors: [{ line, message }] }
+const planDays = (punches, { schedule, timeZone }) => {
+  const sorted = punches.map(p => ({ ...p })).sort((a, b) => a.at - b.at);
+
+  const seen = new Map();
+  for (const punch of sorted) {
+    punch.date = businessDate(schedule, timeZone, punch.at);
+    if (!punch.direction) {
+      const index = seen.get(punch.date) || 0;
+      punch.direction = index % 2 ? 'out' : 'in';
+      seen.set(punch.date, index + 1);
+    }
+  }
+
+  const days = new Map();
+  const errors = [];
+  let open = null;
+
+  for (const punch of sorted) {
+    if (punch.direction === 'in') {
+      if (open) errors.push({ line: open.line, message: "'in' punch without a matching 'out'" });
+      open = punch;
+      continue;
+    }
+    if (!open) {
+      errors.push({ line: punch.line, message: "'out' punch without a matching 'in'" });
+    } else if (punch.at - open.at > MAX_SESSION_MS) {
+      errors.push({ line: open.line, message: "'in' and 'out' punches are more than 24 hours apart" });
+      errors.push({ line: punch.line, message: "'in' and 'out' punches are more than 24 hours apart" });
+    } else if (punch.at <= open.at) {
+      errors.push({ line: punch.line, message: "'out' punch is not after its 'in' punch" });
+    } else {
+      // Sessions belong to the business date of their check-in
+      if (!days.has(open.date)) days.set(open.date, { date: open.date, sessions: [], lines: [] });
+      const day = days.get(open.date);
+      day.sessions.push({ started_at: open.at, ended_at: punch.at });
+      day.lines.push(open.line, punch.line);
+    }
+    open = null;
+  }
+  if (open) errors.push({ line: open.line, message: "'in' punch without a matching 'out'" });
+
+  return { days: [...days.values()], errors };
+};
+
+module.exports = { parsePunchTime, parseDirection, planDays };
@@ -0,0 +1,51 @@
+const { isoWeekday, addDays, addMonths } = require('./time');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Day `day` of the month `date` falls in, clamped to the month's last day
+// (31 → Feb 28/29)
+const dayOfMonth = (date, day) => {
+  const [year, month] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1, Math.min(day, lastDay))).toISOString().slice(0, 10);
+};
+
+// Complete a rule from the API against the first due date: weekly rules without
+// weekdays repeat on that date's weekday, monthly ones on its day of month
+const normalizeRule = (rule, dueDate) => ({
+  freq: rule.freq,
+  every: rule.every || 1,
+  weekdays: rule.freq === 'weekly'
+    ? [...new Set(rule.weekdays?.length ? rule.weekdays : [isoWeekday(dueDate)])].sort((a, b) => a - b)
+    : null,
+  month_day: rule.freq === 'monthly' ? rule.month_day || Number(dueDate.slice(8)) : null,
+  until: rule.until || null,
+  count: rule.count || null,
+});
+
+// The first date of the rule after `date`
+const step = (rule, date) => {
+  if (rule.freq === 'daily') return addDays(date, rule.every);
+
+  if (rule.freq === 'weekly') {
+    // A later chosen weekday in the same week, else the first one `every` weeks on
+    const weekday = isoWeekday(date);
+    const later = rule.weekdays.find((d) => d > weekday);
+    if (later) return addDays(date, later - weekday);
+    return addDays(date, 7 * rule.every - weekday + rule.weekdays[0]);
+  }
+
+  const sameMonth = dayOfMonth(date, rule.month_day);
+  if (sameMonth > date) return sameMonth;
+  return dayOfMonth(addMonths(`${date.slice(0, 8)}01`, rule.every), rule.month_day);
+};
+
+// Next due date of a rule after `date`, skipping dates before `notBefore`
+// (YYYY-MM-DD strings). Ignores `until` / `count` — callers check those.
+const nextOccurrence = (rule, date, notBefore = date) => {
+  let next = step(rule, date);
+  while (next < notBefore) next = step(rule, next);
+  return next;
+};
+
+module.exports = { FREQUENCIES, normalizeRule, nextOccurrence };
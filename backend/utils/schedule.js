@@ -0,0 +1,58 @@
+const { localDate, localMinutes, timeToMinutes, addDays, daysBetween } = require('./time');
+
+// A schedule whose end_time is not after its start_time runs past midnight
+const isOvernight = (schedule) =>
+  Boolean(schedule) && timeToMinutes(schedule.end_time) <= timeToMinutes(schedule.start_time);
+
+// Schedule time as minutes from the start of the business day. On overnight
+// schedules, times before start_time belong to the following morning.
+const shiftTime = (schedule, time) => {
+  const minutes = timeToMinutes(time);
+  return isOvernight(schedule) && minutes < timeToMinutes(schedule.start_time)
+    ? minutes + 24 * 60
+    : minutes;
+};
+
+// Scheduled shift length in minutes, start to end
+const shiftLength = (schedule) =>
+  shiftTime(schedule, schedule.end_time) - timeToMinutes(schedule.start_time);
+
+// ── Business date ────────────────────────────────────────────────
+// The date a shift is attributed to. For overnight schedules an arrival after
+// midnight but before the shift ends belongs to the shift that began the day before.
+const businessDate = (schedule, timeZone, at = new Date()) => {
+  const date = localDate(timeZone, at);
+  if (isOvernight(schedule) && localMinutes(timeZone, at) < timeToMinutes(schedule.end_time)) {
+    return addDays(date, -1);
+  }
+  return date;
+};
+
+// Minutes from local midnight of `date` to the instant `at` (can exceed a day)
+const minutesSince = (date, timeZone, at) =>
+  daysBetween(date, localDate(timeZone, at)) * 24 * 60 + localMinutes(timeZone, at);
+
+// ── Attendance classification ────────────────────────────────────
+// Derives present / late / half-day from the check-in and check-out
+// instants against the user's work schedule, relative to the business date.
+//
+//  - checked in at or after the half-day cutoff         → half-day
+//  - checked out before the cutoff                      → half-day
+//  - checked in after start_time + grace_minutes        → late
+//  - otherwise (or with no schedule assigned)           → present
+const classifyAttendance = (schedule, { date, checkedInAt, checkedOutAt, timeZone }) => {
+  if (!schedule) return 'present';
+
+  const inMinutes = minutesSince(date, timeZone, checkedInAt);
+  const cutoff = schedule.half_day_cutoff ? shiftTime(schedule, schedule.half_day_cutoff) : null;
+
+  if (cutoff !== null) {
+    if (inMinutes >= cutoff) return 'half-day';
+    if (checkedOutAt && minutesSince(date, timeZone, checkedOutAt) < cutoff) return 'half-day';
+  }
+
+  const lateAfter = timeToMinutes(schedule.start_time) + schedule.grace_minutes;
+  return inMinutes > lateAfter ? 'late' : 'present';
+};
+
+module.exports = { isOvernight, shiftLength, businessDate, classifyAttendance };
@@ -0,0 +1,102 @@
+// ── Calendar helpers ─────────────────────────────────────────────
+// Every "what day is it" question goes through here so that dates follow the
+// user's timezone instead of the server's UTC clock.
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const localParts = (timeZone, at) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(at);
+  return Object.fromEntries(parts.map(p => [p.type, p.value]));
+};
+
+// YYYY-MM-DD of the instant `at` as seen from `timeZone`
+const localDate = (timeZone, at = new Date()) => {
+  const { year, month, day } = localParts(timeZone, at);
+  return `${year}-${month}-${day}`;
+};
+
+// Minutes since local midnight of the instant `at` in `timeZone`
+const localMinutes = (timeZone, at = new Date()) => {
+  const { hour, minute } = localParts(timeZone, at);
+  return Number(hour) * 60 + Number(minute);
+};
+
+// 'HH:MM' or 'HH:MM:SS' (Postgres TIME) → minutes since midnight
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// The instant at which the wall clock in `timeZone` reads `date` `time`
+// ('YYYY-MM-DD', 'HH:MM[:SS]'). Resolved in two passes so the offset is the one
+// in force at that local time, not at the UTC guess.
+const offsetAt = (timeZone, ms) => {
+  const at = new Date(ms - (ms % 60000));
+  return Date.parse(`${localDate(timeZone, at)}T00:00:00Z`) + localMinutes(timeZone, at) * 60000 - at.getTime();
+};
+
+const zonedInstant = (timeZone, date, time) => {
+  const wall = Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+  if (Number.isNaN(wall)) return new Date(NaN);
+  const guess = wall - offsetAt(timeZone, wall);
+  return new Date(wall - offsetAt(timeZone, guess));
+};
+
+// Whether `date` is a YYYY-MM-DD calendar date that exists (not 2025-02-30)
+const isValidDate = (date) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(d.getTime()) && d.toISOString().startsWith(date);
+};
+
+// ISO weekday of a YYYY-MM-DD date: 1 = Monday … 7 = Sunday
+const isoWeekday = (date) => {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day === 0 ? 7 : day;
+};
+
+// Shift a YYYY-MM-DD date by whole days
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Shift a YYYY-MM-DD date by whole months, clamped to the end of the target
+// month (Jan 31 + 1 month → Feb 28/29)
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+};
+
+// Whole days from `from` to `to` (both YYYY-MM-DD); negative when `to` is earlier
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+module.exports = {
+  isValidTimeZone,
+  localDate,
+  localMinutes,
+  timeToMinutes,
+  zonedInstant,
+  isValidDate,
+  isoWeekday,
+  addDays,
+  addMonths,
+  daysBetween,
+};
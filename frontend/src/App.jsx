@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback } from "react";
+import QRCode from "qrcode";
 
 const API = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
 
@@ -28,6 +29,16 @@ const api = {
       method: "DELETE",
       headers: authHeaders(token),
     }).then((r) => r.json()),
+  // Fetch a file with the auth header and hand it to the browser as a download
+  download: async (path, token) => {
+    const r = await fetch(`${API}${path}`, { headers: authHeaders(token) });
+    if (!r.ok) return r.json();
+    const name = /filename="([^"]+)"/.exec(r.headers.get("Content-Disposition") || "")?.[1] || "export";
+    const url = URL.createObjectURL(await r.blob());
+    Object.assign(document.createElement("a"), { href: url, download: name }).click();
+    URL.revokeObjectURL(url);
+    return { success: true };
+  },
 };
 
 const formatTime = (iso) =>
@@ -35,8 +46,23 @@ const formatTime = (iso) =>
     ? new Date(iso).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
     : "—";
 
+const formatDuration = (minutes) =>
+  minutes == null ? "—" : `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+
+// Browser coordinates for geofenced check-in — resolves to {} if unavailable or denied
+const currentPosition = () =>
+  new Promise((resolve) => {
+    if (!navigator.geolocation) return resolve({});
+    navigator.geolocation.getCurrentPosition(
+      (p) => resolve({ latitude: p.coords.latitude, longitude: p.coords.longitude }),
+      () => resolve({}),
+      { timeout: 5000, maximumAge: 60000 }
+    );
+  });
+
+// Date-only values (YYYY-MM-DD) are business dates — render them as local days, not UTC midnight
 const formatDate = (iso) =>
-  new Date(iso).toLocaleDateString("en-US", {
+  new Date(iso.length === 10 ? `${iso}T00:00:00` : iso).toLocaleDateString("en-US", {
     weekday: "short",
     month: "short",
     day: "numeric",
@@ -80,7 +106,7 @@ function AuthScreen({ onAuth }) {
     const path = mode === "login" ? "/auth/login" : "/auth/signup";
     const body = mode === "login"
       ? { email: form.email, password: form.password }
-      : form;
+      : { ...form, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone };
     const data = await api.post(path, body);
     setLoading(false);
     if (data.success) {
@@ -152,6 +178,8 @@ function AuthScreen({ onAuth }) {
 function AttendancePanel({ token, toast }) {
   const [today, setToday] = useState(null);
   const [history, setHistory] = useState([]);
+  const [prompts, setPrompts] = useState([]);
+  const [policy, setPolicy] = useState(null);
   const [loading, setLoading] = useState(false);
 
   const fetchToday = useCallback(async () => {
@@ -164,42 +192,94 @@ function AttendancePanel({ token, toast }) {
     if (d.success) setHistory(d.records);
   }, [token]);
 
+  const fetchPrompts = useCallback(async () => {
+    const d = await api.get("/notifications?unread=true", token);
+    if (d.success) setPrompts(d.notifications.filter((n) => n.type === "auto_checkout"));
+  }, [token]);
+
   useEffect(() => {
     fetchToday();
     fetchHistory();
-  }, [fetchToday, fetchHistory]);
+    fetchPrompts();
+    api.get("/attendance/policy", token).then((d) => d.success && setPolicy(d.policy));
+  }, [fetchToday, fetchHistory, fetchPrompts, token]);
 
-  const checkIn = async () => {
+  // Opened by scanning a kiosk QR code (/?kiosk=<code>) — check in with it straight away,
+  // or resume work if today was checked out. The code is dropped from the URL first so a
+  // reload never replays it.
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get("kiosk");
+    if (!code) return;
+    params.delete("kiosk");
+    window.history.replaceState(null, "", `${window.location.pathname}${params.size ? `?${params}` : ""}`);
+    api.get("/attendance/today", token).then(async (t) => {
+      const resuming = Boolean(t.record?.checked_out_at);
+      const d = await api.post(`/attendance/${resuming ? "resume" : "checkin"}`, { kiosk_token: code }, token);
+      if (d.success) {
+        toast.success(resuming ? "Back to work at the kiosk!" : "Checked in at the kiosk!");
+        setToday(d.attendance);
+        fetchHistory();
+      } else {
+        toast.error(d.message || "Check-in failed");
+      }
+    });
+  }, [token, toast, fetchHistory]);
+
+  // Shared handler for every action that returns the updated day record
+  const act = async (request, successMsg, failMsg) => {
     setLoading(true);
-    const d = await api.post("/attendance/checkin", { status: "present" }, token);
+    const d = await request();
     setLoading(false);
     if (d.success) {
-      toast.success("Checked in successfully!");
+      toast.success(successMsg);
       setToday(d.attendance);
       fetchHistory();
     } else {
-      toast.error(d.message || "Check-in failed");
+      toast.error(d.message || failMsg);
     }
   };
 
-  const checkOut = async () => {
-    setLoading(true);
-    const d = await api.patch("/attendance/checkout", {}, token);
-    setLoading(false);
-    if (d.success) {
-      toast.success("Checked out. Have a great day!");
-      setToday(d.attendance);
-      fetchHistory();
-    } else {
-      toast.error(d.message || "Check-out failed");
-    }
+  // Only ask for the browser's location when the user's site has a geofence
+  const checkIn = () =>
+    act(
+      async () => api.post("/attendance/checkin", policy?.geofence ? await currentPosition() : {}, token),
+      "Checked in successfully!",
+      "Check-in failed"
+    );
+
+  const checkOut = () =>
+    act(() => api.patch("/attendance/checkout", {}, token), "Checked out. Have a great day!", "Check-out failed");
+
+  const startBreak = (type) =>
+    act(() => api.post("/attendance/break/start", { type }, token), "Enjoy your break!", "Could not start break");
+
+  const endBreak = () =>
+    act(() => api.post("/attendance/break/end", {}, token), "Welcome back!", "Could not end break");
+
+  const resume = () =>
+    act(
+      async () => api.post("/attendance/resume", policy?.geofence ? await currentPosition() : {}, token),
+      "Back to work!",
+      "Could not resume"
+    );
+
+  const exportHistory = async (format) => {
+    const d = await api.download(`/attendance/export?format=${format}`, token);
+    if (!d.success) toast.error(d.message || "Export failed");
   };
 
+  const openSession = today?.sessions?.find((s) => !s.ended_at);
+  const onBreak = openSession && openSession.kind !== "work";
+
   const now = new Date();
   const dateStr = now.toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric", year: "numeric" });
 
   return (
     <div className="panel">
+      {prompts.map((n) => (
+        <CheckoutPrompt key={n.id} notification={n} token={token} toast={toast} onDone={fetchPrompts} />
+      ))}
       <div className="att-hero">
         <div className="att-date">{dateStr}</div>
         <Clock />
@@ -208,9 +288,17 @@ function AttendancePanel({ token, toast }) {
             <div className="att-badge badge-absent">Not Checked In</div>
           ) : today.checked_out_at ? (
             <div className="att-badge badge-done">✓ Day Complete</div>
+          ) : onBreak ? (
+            <div className="att-badge badge-break">☕ On {openSession.kind} break</div>
           ) : (
             <div className="att-badge badge-present">● Active</div>
           )}
+          {today && today.origin !== "unknown" && (
+            <div className={`att-origin origin-${today.location_flagged ? "flagged" : today.origin}`}>
+              {today.origin === "office" ? "📍 Office" : "🏠 Remote"}
+              {today.location_flagged && " · flagged"}
+            </div>
+          )}
         </div>
 
         <div className="att-times">
@@ -223,36 +311,69 @@ function AttendancePanel({ token, toast }) {
             <div className="time-label">Check Out</div>
             <div className="time-value">{today ? formatTime(today.checked_out_at) : "—"}</div>
           </div>
+          <div className="time-divider">·</div>
+          <div className="time-block">
+            <div className="time-label">Worked</div>
+            <div className="time-value">{today ? formatDuration(today.worked_minutes) : "—"}</div>
+          </div>
         </div>
 
         <div className="att-actions">
           {!today ? (
-            <button className="btn-checkin" onClick={checkIn} disabled={loading}>
-              {loading ? <span className="spinner" /> : "Check In"}
-            </button>
+            <>
+              <button className="btn-checkin" onClick={checkIn} disabled={loading}>
+                {loading ? <span className="spinner" /> : "Check In"}
+              </button>
+              {policy?.require_kiosk && (
+                <div className="att-hint">At {policy.name}, scan the QR code on the kiosk screen to check in</div>
+              )}
+            </>
           ) : !today.checked_out_at ? (
-            <button className="btn-checkout" onClick={checkOut} disabled={loading}>
-              {loading ? <span className="spinner" /> : "Check Out"}
-            </button>
+            <>
+              {onBreak ? (
+                <button className="btn-break" onClick={endBreak} disabled={loading}>End Break</button>
+              ) : (
+                <>
+                  <button className="btn-break" onClick={() => startBreak("lunch")} disabled={loading}>🍽 Lunch</button>
+                  <button className="btn-break" onClick={() => startBreak("personal")} disabled={loading}>☕ Break</button>
+                </>
+              )}
+              <button className="btn-checkout" onClick={checkOut} disabled={loading}>
+                {loading ? <span className="spinner" /> : "Check Out"}
+              </button>
+            </>
           ) : (
-            <div className="att-complete-msg">Great work today! 🎉</div>
+            <>
+              <div className="att-complete-msg">Great work today! 🎉</div>
+              <button className="btn-break" onClick={resume} disabled={loading}>Resume Work</button>
+              {policy?.require_kiosk && (
+                <div className="att-hint">At {policy.name}, scan the kiosk code to resume work</div>
+              )}
+            </>
           )}
         </div>
       </div>
 
-      <div className="section-title">Recent Attendance</div>
+      <div className="section-head">
+        <div className="section-title">Recent Attendance</div>
+        <div className="export-actions">
+          <button className="btn-export" onClick={() => exportHistory("csv")}>⬇ CSV</button>
+          <button className="btn-export" onClick={() => exportHistory("xlsx")}>⬇ Excel</button>
+        </div>
+      </div>
       <div className="att-history">
         {history.length === 0 ? (
           <div className="empty-state">No attendance records yet</div>
         ) : (
           history.map((r) => (
-            <div key={r.id} className="att-row">
+            <div key={r.id || r.date} className="att-row">
               <div className="att-row-date">{formatDate(r.date)}</div>
               <div className="att-row-times">
                 <span>{formatTime(r.checked_in_at)}</span>
                 <span className="arr">→</span>
                 <span>{formatTime(r.checked_out_at)}</span>
               </div>
+              <div className="att-row-worked">{formatDuration(r.worked_minutes)}</div>
               <div className={`status-chip chip-${r.status}`}>{r.status}</div>
             </div>
           ))
@@ -262,6 +383,53 @@ function AttendancePanel({ token, toast }) {
   );
 }
 
+// Shown after the end-of-day job closed a day that was never checked out —
+// lets the user send the real check-out time as a correction request
+function CheckoutPrompt({ notification, token, toast, onDone }) {
+  const { date } = notification.data;
+  const [time, setTime] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const dismiss = async () => {
+    await api.patch(`/notifications/${notification.id}/read`, {}, token);
+    onDone();
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const d = await api.post(
+      "/attendance/corrections",
+      { date, checked_out_at: new Date(time).toISOString(), reason: "Forgot to check out" },
+      token
+    );
+    setLoading(false);
+    if (d.success) {
+      toast.success("Correction sent for review");
+      dismiss();
+    } else {
+      toast.error(d.message || "Could not submit correction");
+    }
+  };
+
+  return (
+    <form className="att-prompt" onSubmit={submit}>
+      <div className="att-prompt-msg">⚠ {notification.message}</div>
+      <div className="att-prompt-row">
+        <input
+          type="datetime-local"
+          value={time}
+          min={`${date}T00:00`}
+          onChange={(e) => setTime(e.target.value)}
+          required
+        />
+        <button className="btn-break" type="submit" disabled={loading}>Submit</button>
+        <button className="btn-break" type="button" onClick={dismiss} disabled={loading}>Dismiss</button>
+      </div>
+    </form>
+  );
+}
+
 function Clock() {
   const [time, setTime] = useState(new Date());
   useEffect(() => {
@@ -275,47 +443,317 @@ function Clock() {
   );
 }
 
+/* ── Kiosk ── */
+// Shared check-in screen at /kiosk. The device signs in with the key an admin got
+// when registering it, then shows a QR code that changes every 30 seconds.
+// Employees scan it with their phone, which opens the app and checks them in.
+export function KioskView() {
+  const [deviceKey, setDeviceKey] = useState(() => localStorage.getItem("kioskKey"));
+  const [keyInput, setKeyInput] = useState("");
+  const [kiosk, setKiosk] = useState(null);
+  const [qr, setQr] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!deviceKey) return;
+    let timer;
+    const refresh = async () => {
+      const d = await api.get("/kiosk/token", deviceKey).catch(() => ({ message: "Cannot reach the server" }));
+      if (d.success) {
+        setKiosk(d.device);
+        setError("");
+        setQr(await QRCode.toDataURL(`${window.location.origin}/?kiosk=${d.token}`, { width: 320, margin: 1 }));
+        timer = setTimeout(refresh, d.refresh_in * 1000);
+      } else if (d.message === "Unknown or disabled kiosk") {
+        localStorage.removeItem("kioskKey");
+        setDeviceKey(null);
+        setError("This kiosk is not registered or has been disabled");
+      } else {
+        setError(d.message || "Could not load a check-in code");
+        timer = setTimeout(refresh, 10000);
+      }
+    };
+    refresh();
+    return () => clearTimeout(timer);
+  }, [deviceKey]);
+
+  const register = (e) => {
+    e.preventDefault();
+    localStorage.setItem("kioskKey", keyInput.trim());
+    setDeviceKey(keyInput.trim());
+    setKeyInput("");
+  };
+
+  if (!deviceKey) return (
+    <div className="auth-bg">
+      <div className="auth-card">
+        <div className="auth-brand">
+          <div className="brand-icon">⬡</div>
+          <h1 className="brand-name">WorkPulse Kiosk</h1>
+          <p className="brand-sub">Enter the device key from the admin console</p>
+        </div>
+        <form onSubmit={register} className="auth-form">
+          <div className="field">
+            <label>Device Key</label>
+            <input value={keyInput} onChange={(e) => setKeyInput(e.target.value)} required />
+          </div>
+          {error && <div className="auth-error">{error}</div>}
+          <button type="submit" className="btn-primary">Start Kiosk</button>
+        </form>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="auth-bg">
+      <div className="kiosk">
+        <div className="kiosk-site">{kiosk?.site_name}</div>
+        <Clock />
+        <div className="kiosk-qr">
+          {qr ? <img src={qr} alt="Check-in QR code" /> : <span className="spinner" />}
+        </div>
+        <p className="kiosk-hint">Scan with your phone to check in</p>
+        {error && <div className="auth-error">{error}</div>}
+        <div className="kiosk-device">{kiosk?.name}</div>
+      </div>
+    </div>
+  );
+}
+
 /* ── Tasks Panel ── */
 const PRIORITY_ICON = { high: "🔴", medium: "🟡", low: "🟢" };
-const STATUS_LABELS = ["pending", "in-progress", "completed", "cancelled"];
+const STATUS_FILTERS = ["all", "pending", "in-progress", "review", "completed"];
+const BOARD_COLUMNS = ["pending", "in-progress", "review", "completed", "cancelled"];
+const BOARD_LIMIT = 100; // tasks loaded per board column
+
+// Statuses the workflow lets this user move a task to from its current one
+const nextStatuses = (workflow, task, user) =>
+  workflow
+    .filter((t) => t.from_status === task.status && (!t.admin_only || user.role === "admin"))
+    .map((t) => t.to_status);
 
-function TasksPanel({ token, toast }) {
+// "review 2h 05m · in-progress 1h 10m …", current status first
+const describeStatusTime = (task) =>
+  Object.entries(task.status_minutes || {})
+    .sort(([a], [b]) => (b === task.status) - (a === task.status))
+    .map(([status, minutes]) => `${status} ${formatDuration(minutes)}`)
+    .join(" · ");
+
+const TASK_SCOPES = [
+  ["", "Everything"], ["assigned", "Assigned to me"], ["created", "Created by me"], ["team", "My teams"],
+];
+const EMPTY_TASK = { title: "", description: "", priority: "medium", due_date: "", assigned_to: "", tags: "" };
+
+// Tags are typed as one comma-separated string
+const parseTags = (text) => text.split(",").map((t) => t.trim()).filter(Boolean);
+
+// Recurrence rules — weekdays are ISO numbers (1 = Monday), as the API uses
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const FREQ_UNITS = { daily: "day", weekly: "week", monthly: "month" };
+const EMPTY_RULE = { freq: "", every: 1, weekdays: [], month_day: "", until: "", count: "" };
+
+// RecurrenceFields state for a task's rule, and the request body for one
+const ruleForm = (r) => ({
+  freq: r.freq, every: r.every, weekdays: r.weekdays || [], month_day: r.month_day || "",
+  until: r.until || "", count: r.count || "",
+});
+const ruleBody = (rule) => {
+  const body = { freq: rule.freq, every: Number(rule.every) || 1, until: rule.until || null, count: Number(rule.count) || null };
+  if (rule.freq === "weekly" && rule.weekdays.length) body.weekdays = rule.weekdays;
+  if (rule.freq === "monthly" && rule.month_day) body.month_day = Number(rule.month_day);
+  return body;
+};
+
+// e.g. "Repeats every 2 weeks on Mon, Wed until Dec 31 · 3 of 10"
+const describeRecurrence = (r) => {
+  const unit = FREQ_UNITS[r.freq];
+  let text = r.every > 1 ? `every ${r.every} ${unit}s` : `every ${unit}`;
+  if (r.freq === "weekly") text += ` on ${r.weekdays.map((d) => WEEKDAYS[d - 1]).join(", ")}`;
+  if (r.freq === "monthly") text += ` on day ${r.month_day}`;
+  if (r.until) text += ` until ${formatDate(r.until)}`;
+  if (r.count) text += ` · ${r.occurrences} of ${r.count}`;
+  return r.ended ? `Repeated ${text} (ended)` : `Repeats ${text}`;
+};
+
+function TasksPanel({ token, toast, user, timer, onTimerChange }) {
   const [tasks, setTasks] = useState([]);
+  const [users, setUsers] = useState([]);
   const [filter, setFilter] = useState("all");
+  const [scope, setScope] = useState("");
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState(""); // search, applied once typing pauses
+  const [tagFilter, setTagFilter] = useState([]);
+  const [allTags, setAllTags] = useState([]);
+  const [tagsVersion, setTagsVersion] = useState(0);
+  const [workflow, setWorkflow] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [project, setProject] = useState(""); // selected project id, "" = all
+  const [projectInfo, setProjectInfo] = useState(null);
+  const [projectsVersion, setProjectsVersion] = useState(0);
+  const [newProject, setNewProject] = useState("");
   const [showForm, setShowForm] = useState(false);
-  const [form, setForm] = useState({ title: "", description: "", priority: "medium", due_date: "" });
+  const [showTime, setShowTime] = useState(false);
+  const [view, setView] = useState(() => localStorage.getItem("tasksView") || "list");
+  const [selected, setSelected] = useState([]); // task ids picked for a bulk action
+  const [hidden, setHidden] = useState({}); // board: tasks per column past BOARD_LIMIT
+  const [form, setForm] = useState(EMPTY_TASK);
+  const [rule, setRule] = useState(EMPTY_RULE);
   const [loading, setLoading] = useState(false);
 
   const fetchTasks = useCallback(async () => {
-    const qs = filter !== "all" ? `?status=${filter}` : "";
-    const d = await api.get(`/tasks${qs}`, token);
-    if (d.success) setTasks(d.tasks);
-  }, [token, filter]);
+    const params = new URLSearchParams();
+    if (view !== "board" && filter !== "all") params.set("status", filter);
+    if (scope) params.set("scope", scope);
+    if (project) params.set("project_id", project);
+    if (query) params.set("q", query);
+    if (tagFilter.length) params.set("tags", tagFilter.join(","));
+
+    if (view === "board") {
+      // One page per column, so a long column cannot push the others off the board
+      params.set("sort", "position");
+      params.set("limit", BOARD_LIMIT);
+      const pages = await Promise.all(BOARD_COLUMNS.map((status) => api.get(`/tasks?${params}&status=${status}`, token)));
+      if (!pages.every((d) => d.success)) return;
+      setTasks(pages.flatMap((d) => d.tasks));
+      setHidden(Object.fromEntries(BOARD_COLUMNS.map((status, i) => [status, pages[i].total - pages[i].tasks.length])));
+      return;
+    }
+    const d = await api.get(`/tasks${params.size ? `?${params}` : ""}`, token);
+    if (d.success) {
+      setTasks(d.tasks);
+      setHidden({});
+    }
+  }, [token, view, filter, scope, project, query, tagFilter]);
+
+  const switchView = (next) => {
+    localStorage.setItem("tasksView", next);
+    setView(next);
+  };
 
   useEffect(() => { fetchTasks(); }, [fetchTasks]);
 
+  useEffect(() => {
+    api.get("/tasks/tags", token).then((d) => d.success && setAllTags(d.tags));
+  }, [token, tagsVersion]);
+  const refreshTags = () => setTagsVersion((v) => v + 1);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const toggleTag = (tag) =>
+    setTagFilter((p) => (p.includes(tag) ? p.filter((t) => t !== tag) : [...p, tag]));
+
+  useEffect(() => {
+    api.get("/users", token).then((d) => d.success && setUsers(d.users));
+  }, [token]);
+
+  useEffect(() => {
+    api.get("/projects", token).then((d) => d.success && setProjects(d.projects));
+  }, [token, projectsVersion]);
+  const refreshProjects = () => setProjectsVersion((v) => v + 1);
+
+  // Details and members of the selected project; stale ones are ignored until the new ones arrive
+  useEffect(() => {
+    if (project) api.get(`/projects/${project}`, token).then((d) => d.success && setProjectInfo(d));
+  }, [token, project, projectsVersion]);
+  const current = project && projectInfo?.project.id === project ? projectInfo : null;
+
+  const createProject = async (e) => {
+    e.preventDefault();
+    const d = await api.post("/projects", { name: newProject }, token);
+    if (d.success) {
+      toast.success(`Project "${d.project.name}" created`);
+      setNewProject("");
+      setProject(d.project.id);
+      refreshProjects();
+    } else toast.error(d.message || "Could not create the project");
+  };
+
+  useEffect(() => {
+    api.get("/tasks/workflow", token).then((d) => d.success && setWorkflow(d.transitions));
+  }, [token]);
+  // Review is an optional step — no filter or column for it when the workflow leaves it out
+  const usesReview = workflow.some((t) => t.to_status === "review");
+  const statusFilters = STATUS_FILTERS.filter((f) => f !== "review" || usesReview);
+  const boardColumns = BOARD_COLUMNS.filter((s) => s !== "review" || usesReview);
+
   const createTask = async (e) => {
     e.preventDefault();
     setLoading(true);
     const body = { ...form };
     if (!body.due_date) delete body.due_date;
+    if (!body.assigned_to) delete body.assigned_to; // defaults to me
+    body.tags = parseTags(form.tags);
+    if (project) body.project_id = project;
+    if (rule.freq) body.recurrence = ruleBody(rule);
     const d = await api.post("/tasks", body, token);
     setLoading(false);
     if (d.success) {
       toast.success("Task created!");
       setTasks((p) => [d.task, ...p]);
-      setForm({ title: "", description: "", priority: "medium", due_date: "" });
+      if (d.task.tags.length) refreshTags();
+      setForm(EMPTY_TASK);
+      setRule(EMPTY_RULE);
       setShowForm(false);
     } else {
       toast.error(d.message || "Failed to create task");
     }
   };
 
-  const updateStatus = async (task, status) => {
-    const d = await api.patch(`/tasks/${task.id}`, { status }, token);
+  // Finishing a recurring task can create its next occurrence, which joins the list
+  const replaceTask = (task, next = null) => {
+    setTasks((p) => [...(next ? [next] : []), ...p.map((t) => (t.id === task.id ? task : t))]);
+    if (next) toast.success(`Next occurrence due ${formatDate(next.due_date)}`);
+  };
+
+  const updateTask = async (task, changes) => {
+    const d = await api.patch(`/tasks/${task.id}`, changes, token);
     if (d.success) {
-      setTasks((p) => p.map((t) => (t.id === task.id ? d.task : t)));
-    } else toast.error("Update failed");
+      replaceTask(d.task, d.next_task);
+      if (changes.tags) refreshTags();
+    } else toast.error(d.message || "Update failed");
+  };
+
+  // Board drag and drop: show the move straight away, then let the server place it.
+  // A refused or conflicting move reloads the board.
+  const moveTask = async (task, status, afterId) => {
+    setTasks((p) => {
+      const rest = p.filter((t) => t.id !== task.id);
+      const moved = { ...task, status };
+      const anchor = afterId ? rest.findIndex((t) => t.id === afterId) + 1 : rest.findIndex((t) => t.status === status);
+      return anchor < 0 ? [...rest, moved] : [...rest.slice(0, anchor), moved, ...rest.slice(anchor)];
+    });
+    const d = await api.post(`/tasks/${task.id}/move`, { status, after_id: afterId }, token);
+    if (d.success) replaceTask(d.task, d.next_task);
+    else {
+      toast.error(d.message || "Move failed");
+      fetchTasks();
+    }
+  };
+
+  // Only the selected tasks still in the list are sent. The ones the server skips
+  // stay selected, and the first reason is shown.
+  const picked = tasks.filter((t) => selected.includes(t.id));
+  const toggleSelected = (id) =>
+    setSelected((p) => (p.includes(id) ? p.filter((s) => s !== id) : [...p, id]));
+
+  const bulkUpdate = async (changes) => {
+    const ids = picked.map((t) => t.id);
+    const d = await api.post("/tasks/bulk", changes ? { ids, changes } : { ids, delete: true }, token);
+    if (d.success) {
+      const done = d.results.filter((r) => r.success);
+      const updated = new Map(done.filter((r) => r.task).map((r) => [r.id, r.task]));
+      const next = done.map((r) => r.next_task).filter(Boolean);
+      setTasks((p) => [
+        ...next,
+        ...p.filter((t) => changes || !done.some((r) => r.id === t.id)).map((t) => updated.get(t.id) || t),
+      ]);
+      setSelected(d.results.filter((r) => !r.success).map((r) => r.id));
+      if (done.length) toast.success(`${done.length} task${done.length === 1 ? "" : "s"} ${changes ? "updated" : "deleted"}`);
+      if (d.failed) toast.error(`${d.failed} skipped — ${d.results.find((r) => !r.success).message}`);
+    } else toast.error(d.message || "Bulk update failed");
   };
 
   const deleteTask = async (id) => {
@@ -323,7 +761,7 @@ function TasksPanel({ token, toast }) {
     if (d.success) {
       setTasks((p) => p.filter((t) => t.id !== id));
       toast.success("Task deleted");
-    } else toast.error("Delete failed");
+    } else toast.error(d.message || "Delete failed");
   };
 
   const stats = {
@@ -349,61 +787,331 @@ function TasksPanel({ token, toast }) {
             <span className="stat-l">Urgent</span>
           </div>
         </div>
-        <button className="btn-add" onClick={() => setShowForm((s) => !s)}>
-          {showForm ? "✕ Cancel" : "+ New Task"}
-        </button>
+        <div className="tasks-header-actions">
+          <button className="btn-break" onClick={() => switchView(view === "board" ? "list" : "board")}>
+            {view === "board" ? "☰ List" : "▦ Board"}
+          </button>
+          <button className="btn-break" onClick={() => setShowTime((s) => !s)}>
+            {showTime ? "✕ Close" : "⏱ My time"}
+          </button>
+          <button className="btn-add" onClick={() => setShowForm((s) => !s)}>
+            {showForm ? "✕ Cancel" : "+ New Task"}
+          </button>
+        </div>
       </div>
 
+      {showTime && <TimeReport token={token} />}
+
       {showForm && (
         <form onSubmit={createTask} className="task-form">
           <input placeholder="Task title *" value={form.title}
             onChange={(e) => setForm({ ...form, title: e.target.value })} required />
           <textarea placeholder="Description (optional)" value={form.description}
             onChange={(e) => setForm({ ...form, description: e.target.value })} rows={2} />
+          <input placeholder="Tags, comma separated (optional)" value={form.tags}
+            onChange={(e) => setForm({ ...form, tags: e.target.value })} />
           <div className="form-row">
             <select value={form.priority} onChange={(e) => setForm({ ...form, priority: e.target.value })}>
               <option value="low">🟢 Low</option>
               <option value="medium">🟡 Medium</option>
               <option value="high">🔴 High</option>
             </select>
-            <input type="date" value={form.due_date}
+            <input type="date" value={form.due_date} required={!!rule.freq} title="Due date"
               onChange={(e) => setForm({ ...form, due_date: e.target.value })} />
+            <select value={form.assigned_to} onChange={(e) => setForm({ ...form, assigned_to: e.target.value })}>
+              <option value="">👤 Assign to me</option>
+              {(current ? current.members : users).filter((u) => u.id !== user.id).map((u) => (
+                <option key={u.id} value={u.id}>{u.name}</option>
+              ))}
+            </select>
           </div>
+          <RecurrenceFields rule={rule} onChange={setRule} optional />
           <button type="submit" className="btn-primary" disabled={loading}>
             {loading ? <span className="spinner" /> : "Create Task"}
           </button>
         </form>
       )}
 
+      <div className="project-bar">
+        <select value={project} onChange={(e) => setProject(e.target.value)}>
+          <option value="">📁 All projects</option>
+          {projects.map((p) => (
+            <option key={p.id} value={p.id}>{p.name} ({p.open_task_count})</option>
+          ))}
+        </select>
+        <form onSubmit={createProject}>
+          <input placeholder="New project" value={newProject} maxLength={100}
+            onChange={(e) => setNewProject(e.target.value)} required />
+          <button type="submit" className="btn-break">+ Project</button>
+        </form>
+      </div>
+      {current && (
+        <ProjectPanel info={current} user={user} users={users} token={token} toast={toast}
+          onChanged={refreshProjects} onClosed={() => setProject("")} />
+      )}
+
+      <input className="task-search" type="search" placeholder="🔍 Search titles, descriptions and comments…"
+        value={search} onChange={(e) => setSearch(e.target.value)} />
+
       <div className="filter-bar">
-        {["all", "pending", "in-progress", "completed"].map((f) => (
+        {view === "list" && statusFilters.map((f) => (
           <button key={f} className={filter === f ? "filter-btn active" : "filter-btn"}
             onClick={() => setFilter(f)}>
             {f === "all" ? "All" : f.charAt(0).toUpperCase() + f.slice(1)}
           </button>
         ))}
+        <select className="filter-scope" value={scope} onChange={(e) => setScope(e.target.value)}>
+          {TASK_SCOPES.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
       </div>
 
-      <div className="task-list">
-        {tasks.length === 0 ? (
-          <div className="empty-state">No tasks found. Add your first task!</div>
-        ) : (
-          tasks.map((t) => (
-            <TaskCard key={t.id} task={t} onStatus={updateStatus} onDelete={deleteTask} />
-          ))
+      {allTags.length > 0 && (
+        <div className="tag-bar">
+          {allTags.map(({ tag, count }) => (
+            <button key={tag} className={tagFilter.includes(tag) ? "tag-chip active" : "tag-chip"}
+              onClick={() => toggleTag(tag)}>
+              #{tag} <span>{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {view === "board" ? (
+        <TaskBoard tasks={tasks} hidden={hidden} columns={boardColumns} workflow={workflow} user={user}
+          toast={toast} onMove={moveTask} />
+      ) : (
+        <div className="task-list">
+          {picked.length > 0 && (
+            <TaskBulkBar count={picked.length} total={tasks.length} statuses={boardColumns} users={users} user={user}
+              onApply={bulkUpdate} onSelectAll={() => setSelected(tasks.map((t) => t.id))}
+              onClear={() => setSelected([])} />
+          )}
+          {tasks.length === 0 ? (
+            <div className="empty-state">
+              {query || tagFilter.length ? "No tasks match your search." : "No tasks found. Add your first task!"}
+            </div>
+          ) : (
+            tasks.map((t) => (
+              <TaskCard key={t.id} task={t} user={user} users={users} workflow={workflow} token={token} toast={toast}
+                selected={selected.includes(t.id)} onSelect={toggleSelected}
+                onUpdate={updateTask} onChanged={replaceTask} onReload={fetchTasks} onDelete={deleteTask}
+                onTag={toggleTag} timer={timer} onTimerChange={onTimerChange} />
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Changes for all the selected tasks at once. Every status and assignee is offered;
+// the server skips the tasks a change is not allowed on and says why.
+function TaskBulkBar({ count, total, statuses, users, user, onApply, onSelectAll, onClear }) {
+  const [due, setDue] = useState("");
+
+  const pick = (field) => (e) => {
+    const { value } = e.target;
+    if (value) onApply({ [field]: field === "assigned_to" && value === "none" ? null : value });
+  };
+
+  return (
+    <div className="bulk-bar">
+      <span className="bulk-count">{count} selected</span>
+      {count < total && <button className="btn-break" onClick={onSelectAll}>Select all {total}</button>}
+      <button className="btn-break" onClick={onClear}>Clear</button>
+      <select value="" onChange={pick("status")}>
+        <option value="">Status…</option>
+        {statuses.map((s) => <option key={s} value={s}>{s}</option>)}
+      </select>
+      <select value="" onChange={pick("priority")}>
+        <option value="">Priority…</option>
+        <option value="low">🟢 Low</option>
+        <option value="medium">🟡 Medium</option>
+        <option value="high">🔴 High</option>
+      </select>
+      <select value="" onChange={pick("assigned_to")}>
+        <option value="">Assignee…</option>
+        <option value="none">Unassigned</option>
+        {users.map((u) => (
+          <option key={u.id} value={u.id}>{u.id === user.id ? `${u.name} (me)` : u.name}</option>
+        ))}
+      </select>
+      <form onSubmit={(e) => { e.preventDefault(); onApply({ due_date: due }); }}>
+        <input type="date" value={due} onChange={(e) => setDue(e.target.value)} title="Due date" required />
+        <button type="submit" className="btn-break">Set due</button>
+      </form>
+      <button className="btn-delete" onClick={() => window.confirm(`Delete ${count} tasks?`) && onApply(null)}>
+        Delete
+      </button>
+    </div>
+  );
+}
+
+// One column per status, in the order saved on the server. Cards are dragged
+// within a column to reorder, or onto another to change the status (only to
+// statuses the workflow allows). Dropping on a card puts the task above it.
+// `hidden` counts the tasks of each column that were not loaded.
+function TaskBoard({ tasks, hidden, columns, workflow, user, toast, onMove }) {
+  const [dragged, setDragged] = useState(null);
+  const [over, setOver] = useState(null); // { status, beforeId } under the pointer
+  const canMove = (t) => t.created_by === user.id || t.assigned_to === user.id || user.role === "admin";
+
+  const drop = (status, beforeId) => {
+    const task = tasks.find((t) => t.id === dragged);
+    setDragged(null);
+    setOver(null);
+    if (!task) return;
+    const column = tasks.filter((t) => t.status === status && t.id !== task.id);
+    const index = beforeId ? column.findIndex((t) => t.id === beforeId) : column.length;
+    const afterId = index > 0 ? column[index - 1].id : null;
+
+    if (status === task.status) {
+      const current = tasks.filter((t) => t.status === status);
+      const at = current.findIndex((t) => t.id === task.id);
+      if ((at > 0 ? current[at - 1].id : null) === afterId) return;
+    } else if (!nextStatuses(workflow, task, user).includes(status)) {
+      return toast.error(`A task cannot go from ${task.status} to ${status}`);
+    }
+    onMove(task, status, afterId);
+  };
+
+  const dragOver = (e, status, beforeId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (over?.status !== status || over.beforeId !== beforeId) setOver({ status, beforeId });
+  };
+
+  return (
+    <div className="board">
+      {columns.map((status) => {
+        const column = tasks.filter((t) => t.status === status);
+        return (
+          <div key={status} className={over?.status === status ? "board-column drag-over" : "board-column"}
+            onDragOver={(e) => dragOver(e, status, null)}
+            onDrop={(e) => { e.preventDefault(); drop(status, null); }}>
+            <div className="board-column-head">
+              <span className={`task-status-chip chip-${status.replace("-", "")}`}>{status}</span>
+              <span>{hidden[status] > 0 ? `${column.length} of ${column.length + hidden[status]}` : column.length}</span>
+            </div>
+            {column.map((t) => (
+              <div key={t.id} draggable={canMove(t)}
+                className={[
+                  "board-card",
+                  t.id === dragged && "dragging",
+                  over?.beforeId === t.id && "drop-before",
+                ].filter(Boolean).join(" ")}
+                onDragStart={(e) => {
+                  e.dataTransfer.setData("text/plain", t.id);
+                  e.dataTransfer.effectAllowed = "move";
+                  setDragged(t.id);
+                }}
+                onDragEnd={() => { setDragged(null); setOver(null); }}
+                onDragOver={(e) => dragOver(e, status, t.id)}
+                onDrop={(e) => { e.preventDefault(); e.stopPropagation(); drop(status, t.id); }}>
+                <div className="board-card-title">{PRIORITY_ICON[t.priority]} {t.title}</div>
+                <div className="task-people">
+                  {t.assigned_to_name || "unassigned"}
+                  {t.due_date && ` · 📅 ${formatDate(t.due_date)}`}
+                  {t.project_name && ` · 📁 ${t.project_name}`}
+                </div>
+              </div>
+            ))}
+            {hidden[status] > 0 && (
+              <div className="board-more">{hidden[status]} more not shown — filter to narrow this column</div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// The selected project: task counts and members. Owners (and admins) add and
+// remove members and archive it; anyone else may leave.
+function ProjectPanel({ info, user, users, token, toast, onChanged, onClosed }) {
+  const { project, members } = info;
+  const canManage = project.my_role === "owner" || user.role === "admin";
+
+  const addMember = async (userId) => {
+    const d = await api.post(`/projects/${project.id}/members`, { user_id: userId }, token);
+    if (d.success) onChanged();
+    else toast.error(d.message || "Could not add the member");
+  };
+
+  const removeMember = async (member) => {
+    const d = await api.delete(`/projects/${project.id}/members/${member.id}`, token);
+    if (!d.success) return toast.error(d.message || "Could not remove the member");
+    if (member.id === user.id) {
+      toast.success(`You left ${project.name}`);
+      onClosed();
+    }
+    onChanged();
+  };
+
+  const archive = async () => {
+    const d = await api.patch(`/projects/${project.id}`, { archived: true }, token);
+    if (!d.success) return toast.error(d.message || "Could not archive the project");
+    toast.success(`${project.name} archived`);
+    onClosed();
+    onChanged();
+  };
+
+  return (
+    <div className="project-panel">
+      <div className="series-summary">
+        <span>📁 {project.name} · {project.open_task_count} open of {project.task_count} tasks</span>
+        {canManage && <button type="button" onClick={archive}>Archive</button>}
+      </div>
+      {project.description && <p className="task-desc">{project.description}</p>}
+      <div className="task-tags">
+        {members.map((m) => (
+          <span key={m.id} className="tag-chip">
+            {m.role === "owner" ? "★ " : ""}{m.id === user.id ? `${m.name} (me)` : m.name}
+            {(canManage || m.id === user.id) && (
+              <button type="button" className="chip-remove" title={m.id === user.id ? "Leave" : "Remove"}
+                onClick={() => removeMember(m)}>✕</button>
+            )}
+          </span>
+        ))}
+        {canManage && (
+          <select className="filter-scope" value="" onChange={(e) => addMember(e.target.value)}>
+            <option value="">+ Add member</option>
+            {users.filter((u) => !members.some((m) => m.id === u.id)).map((u) => (
+              <option key={u.id} value={u.id}>{u.name}</option>
+            ))}
+          </select>
         )}
       </div>
     </div>
   );
 }
 
-function TaskCard({ task, onStatus, onDelete }) {
+function TaskCard({
+  task, user, users, workflow, token, toast, selected, onSelect, onUpdate, onChanged, onReload, onDelete, onTag, timer,
+  onTimerChange,
+}) {
   const [expanded, setExpanded] = useState(false);
+  const timing = timer?.task_id === task.id;
   const isOverdue = task.due_date && new Date(task.due_date) < new Date() && task.status !== "completed";
+  // Mirrors the server: the creator edits everything, the assignee the status, admins the
+  // status and assignee — status changes limited to what the workflow allows
+  const isCreator = task.created_by === user.id;
+  const canReassign = isCreator || user.role === "admin";
+  const statuses = canReassign || task.assigned_to === user.id ? nextStatuses(workflow, task, user) : [];
+
+  const toggleTimer = async () => {
+    const d = await api.post(`/tasks/${task.id}/time/${timing ? "stop" : "start"}`, {}, token);
+    if (d.success) onTimerChange(timing ? null : d.timer);
+    else toast.error(d.message || "Timer failed");
+  };
 
   return (
     <div className={`task-card ${task.status === "completed" ? "card-done" : ""}`}>
       <div className="task-card-main" onClick={() => setExpanded((e) => !e)}>
+        <input type="checkbox" className="task-select" checked={selected} title="Select for a bulk action"
+          onClick={(e) => e.stopPropagation()} onChange={() => onSelect(task.id)} />
         <div className="task-priority">{PRIORITY_ICON[task.priority]}</div>
         <div className="task-info">
           <div className={`task-title ${task.status === "completed" ? "striked" : ""}`}>
@@ -413,9 +1121,28 @@ function TaskCard({ task, onStatus, onDelete }) {
             <div className={`task-due ${isOverdue ? "overdue" : ""}`}>
               {isOverdue ? "⚠ " : "📅 "}
               {formatDate(task.due_date)}
+              {task.recurrence && !task.recurrence.ended && " 🔁"}
+            </div>
+          )}
+          <div className="task-people">
+            {task.project_name && `📁 ${task.project_name} · `}
+            {isCreator ? "" : `from ${task.created_by_name} · `}
+            {task.assigned_to === user.id ? "assigned to you" : task.assigned_to_name ? `→ ${task.assigned_to_name}` : "unassigned"}
+          </div>
+          {task.tags.length > 0 && (
+            <div className="task-tags">
+              {task.tags.map((tag) => (
+                <button key={tag} className="tag-chip" onClick={(e) => { e.stopPropagation(); onTag(tag); }}>
+                  #{tag}
+                </button>
+              ))}
             </div>
           )}
         </div>
+        {timing && <div className="task-progress timing">⏱ running</div>}
+        {task.checklist_total > 0 && (
+          <div className="task-progress">☑ {task.checklist_done}/{task.checklist_total}</div>
+        )}
         <div className={`task-status-chip chip-${task.status.replace("-", "")}`}>
           {task.status}
         </div>
@@ -424,26 +1151,502 @@ function TaskCard({ task, onStatus, onDelete }) {
       {expanded && (
         <div className="task-card-details">
           {task.description && <p className="task-desc">{task.description}</p>}
+          <div className="task-status-time">
+            {task.completed_at ? "Completed" : `${task.status} since`}{" "}
+            {formatDate(task.status_since)} {formatTime(task.status_since)} — {describeStatusTime(task)}
+          </div>
+          {task.recurrence && (
+            <TaskSeries task={task} user={user} users={users} token={token} toast={toast} onReload={onReload} />
+          )}
+          <TaskChecklist task={task} user={user} token={token} toast={toast} onChanged={onChanged} />
           <div className="task-actions">
-            <select
-              value={task.status}
-              onChange={(e) => onStatus(task, e.target.value)}
-              onClick={(e) => e.stopPropagation()}
-            >
-              {STATUS_LABELS.map((s) => (
-                <option key={s} value={s}>{s}</option>
+            <button className="btn-break" onClick={(e) => { e.stopPropagation(); toggleTimer(); }}>
+              {timing ? "■ Stop timer" : "▶ Start timer"}
+            </button>
+            {statuses.length > 0 && (
+              <select
+                value={task.status}
+                onChange={(e) => onUpdate(task, { status: e.target.value })}
+                onClick={(e) => e.stopPropagation()}
+              >
+                {[task.status, ...statuses].map((s) => (
+                  <option key={s} value={s}>{s}</option>
+                ))}
+              </select>
+            )}
+            {canReassign && (
+              <select
+                value={task.assigned_to || ""}
+                onChange={(e) => onUpdate(task, { assigned_to: e.target.value || null })}
+                onClick={(e) => e.stopPropagation()}
+              >
+                <option value="">Unassigned</option>
+                {users.map((u) => (
+                  <option key={u.id} value={u.id}>{u.id === user.id ? `${u.name} (me)` : u.name}</option>
+                ))}
+              </select>
+            )}
+            {isCreator && (
+              <input
+                key={task.tags.join()}
+                className="task-tags-input"
+                placeholder="Tags, comma separated"
+                defaultValue={task.tags.join(", ")}
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                onBlur={(e) => {
+                  const tags = parseTags(e.target.value);
+                  if (tags.join() !== task.tags.join()) onUpdate(task, { tags });
+                }}
+              />
+            )}
+            {isCreator && (
+              <button className="btn-delete" onClick={(e) => { e.stopPropagation(); onDelete(task.id); }}>
+                Delete
+              </button>
+            )}
+          </div>
+          <TaskTime task={task} user={user} token={token} toast={toast} timer={timer} />
+          <TaskTimeline task={task} user={user} token={token} toast={toast} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Repeat rule inputs. `optional` adds a "does not repeat" choice (task form);
+// weekly rules without weekdays and monthly ones without a day follow the due date.
+function RecurrenceFields({ rule, onChange, optional = false }) {
+  const set = (changes) => onChange({ ...rule, ...changes });
+  const toggleDay = (day) =>
+    set({ weekdays: rule.weekdays.includes(day) ? rule.weekdays.filter((d) => d !== day) : [...rule.weekdays, day] });
+
+  return (
+    <div className="recurrence">
+      <div className="form-row">
+        <select value={rule.freq} onChange={(e) => set({ freq: e.target.value })}>
+          {optional && <option value="">🔁 Does not repeat</option>}
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+        </select>
+        {rule.freq && (
+          <label className="rule-every">
+            every
+            <input type="number" min="1" max="365" value={rule.every}
+              onChange={(e) => set({ every: e.target.value })} />
+            {FREQ_UNITS[rule.freq]}(s)
+          </label>
+        )}
+        {rule.freq === "monthly" && (
+          <input type="number" min="1" max="31" placeholder="Day of month" value={rule.month_day}
+            onChange={(e) => set({ month_day: e.target.value })} />
+        )}
+      </div>
+      {rule.freq === "weekly" && (
+        <div className="weekday-picks">
+          {WEEKDAYS.map((name, i) => (
+            <button key={name} type="button" className={rule.weekdays.includes(i + 1) ? "day-pick active" : "day-pick"}
+              onClick={() => toggleDay(i + 1)}>
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+      {rule.freq && (
+        <div className="form-row">
+          <input type="date" value={rule.until} title="Last due date (optional)"
+            onChange={(e) => set({ until: e.target.value })} />
+          <input type="number" min="1" placeholder="Number of times (optional)" value={rule.count}
+            onChange={(e) => set({ count: e.target.value })} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The series a recurring task belongs to. The creator can edit it — the template
+// and rule apply to open and future occurrences; the card's own controls edit
+// just this one — or stop it repeating.
+function TaskSeries({ task, user, users, token, toast, onReload }) {
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(null);
+  const [rule, setRule] = useState(EMPTY_RULE);
+  const canEdit = task.created_by === user.id && !task.recurrence.ended;
+
+  const startEditing = () => {
+    setForm({ title: task.title, priority: task.priority, assigned_to: task.assigned_to || "", tags: task.tags.join(", ") });
+    setRule(ruleForm(task.recurrence));
+    setEditing(true);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    const body = { ...form, assigned_to: form.assigned_to || null, tags: parseTags(form.tags), recurrence: ruleBody(rule) };
+    const d = await api.patch(`/tasks/${task.id}/series`, body, token);
+    if (d.success) {
+      toast.success(d.updated > 1 ? `Series updated (${d.updated} open tasks)` : "Series updated");
+      setEditing(false);
+      onReload();
+    } else toast.error(d.message || "Could not update the series");
+  };
+
+  const stop = async () => {
+    const d = await api.delete(`/tasks/${task.id}/series`, token);
+    if (d.success) {
+      toast.success(d.message);
+      onReload();
+    } else toast.error(d.message || "Could not stop the series");
+  };
+
+  return (
+    <div className="task-series" onClick={(e) => e.stopPropagation()}>
+      <div className="series-summary">
+        <span>🔁 {describeRecurrence(task.recurrence)}</span>
+        {canEdit && !editing && (
+          <>
+            <button type="button" onClick={startEditing}>Edit series</button>
+            <button type="button" onClick={stop}>Stop repeating</button>
+          </>
+        )}
+      </div>
+      {editing && (
+        <form className="task-form" onSubmit={save}>
+          <input value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} required />
+          <input placeholder="Tags, comma separated" value={form.tags}
+            onChange={(e) => setForm({ ...form, tags: e.target.value })} />
+          <div className="form-row">
+            <select value={form.priority} onChange={(e) => setForm({ ...form, priority: e.target.value })}>
+              <option value="low">🟢 Low</option>
+              <option value="medium">🟡 Medium</option>
+              <option value="high">🔴 High</option>
+            </select>
+            <select value={form.assigned_to} onChange={(e) => setForm({ ...form, assigned_to: e.target.value })}>
+              <option value="">Unassigned</option>
+              {users.map((u) => (
+                <option key={u.id} value={u.id}>{u.id === user.id ? `${u.name} (me)` : u.name}</option>
               ))}
             </select>
-            <button className="btn-delete" onClick={(e) => { e.stopPropagation(); onDelete(task.id); }}>
-              Delete
-            </button>
           </div>
+          <RecurrenceFields rule={rule} onChange={setRule} />
+          <div className="form-row">
+            <button type="submit" className="btn-primary">Save series</button>
+            <button type="button" className="btn-break" onClick={() => setEditing(false)}>Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// Tick-box steps of a task. The creator can add and remove items; the creator or
+// assignee can tick them. Ticking may complete the task (org setting), so the
+// card is refreshed with the task the server returns.
+function TaskChecklist({ task, user, token, toast, onChanged }) {
+  const [items, setItems] = useState([]);
+  const [draft, setDraft] = useState("");
+  const isCreator = task.created_by === user.id;
+  const canTick = isCreator || task.assigned_to === user.id;
+
+  useEffect(() => {
+    api.get(`/tasks/${task.id}/checklist`, token).then((d) => d.success && setItems(d.items));
+  }, [task.id, task.checklist_total, token]);
+
+  // Progress counts live on the task — fetch it again after adding or removing items
+  const refreshTask = async () => {
+    const d = await api.get(`/tasks/${task.id}`, token);
+    if (d.success) onChanged(d.task);
+  };
+
+  const add = async (e) => {
+    e.preventDefault();
+    const d = await api.post(`/tasks/${task.id}/checklist`, { title: draft }, token);
+    if (d.success) {
+      setDraft("");
+      refreshTask();
+    } else toast.error(d.message || "Could not add item");
+  };
+
+  const tick = async (item) => {
+    const d = await api.patch(`/tasks/${task.id}/checklist/${item.id}`, { is_done: !item.is_done }, token);
+    if (d.success) {
+      setItems((p) => p.map((i) => (i.id === item.id ? d.item : i)));
+      onChanged(d.task, d.next_task);
+    } else toast.error(d.message || "Could not update item");
+  };
+
+  const remove = async (item) => {
+    const d = await api.delete(`/tasks/${task.id}/checklist/${item.id}`, token);
+    if (d.success) refreshTask();
+    else toast.error(d.message || "Could not delete item");
+  };
+
+  if (!items.length && !isCreator) return null;
+
+  return (
+    <div className="task-checklist" onClick={(e) => e.stopPropagation()}>
+      {items.map((item) => (
+        <label key={item.id} className={item.is_done ? "check-item done" : "check-item"}>
+          <input type="checkbox" checked={item.is_done} disabled={!canTick} onChange={() => tick(item)} />
+          <span>{item.title}</span>
+          {isCreator && <button type="button" onClick={() => remove(item)}>✕</button>}
+        </label>
+      ))}
+      {isCreator && (
+        <form className="tl-form" onSubmit={add}>
+          <input placeholder="Add a checklist item…" value={draft} onChange={(e) => setDraft(e.target.value)} required />
+          <button type="submit" className="btn-break">Add</button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+/* ── Time tracking ── */
+// h:mm:ss since an ISO timestamp, for the running timer
+const elapsedSince = (iso, now) => {
+  const secs = Math.max(0, Math.floor((now - new Date(iso)) / 1000));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${Math.floor(secs / 3600)}:${pad(Math.floor(secs / 60) % 60)}:${pad(secs % 60)}`;
+};
+
+// Running task timer in the navbar, ticking every second
+function TimerWidget({ timer, token, toast, onChange }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!timer) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [timer]);
+
+  if (!timer) return null;
+
+  const stop = async () => {
+    const d = await api.post("/time/stop", {}, token);
+    onChange(null);
+    if (d.success) toast.success(`Logged ${formatDuration(d.entry.minutes)} on ${d.entry.task_title}`);
+    else toast.error(d.message || "Could not stop the timer");
+  };
+
+  return (
+    <div className="timer-widget" title={timer.task_title}>
+      <span className="timer-dot" />
+      <span className="timer-task">{timer.task_title}</span>
+      <span className="timer-elapsed">{elapsedSince(timer.started_at, now)}</span>
+      <button onClick={stop} title="Stop timer">■</button>
+    </div>
+  );
+}
+
+const EMPTY_ENTRY = { date: "", start: "", end: "", note: "" };
+
+// Time logged on a task by everyone, and a form to log your own after the fact.
+// Entries have to fall inside one of your check-ins — the server says which.
+function TaskTime({ task, user, token, toast, timer }) {
+  const [data, setData] = useState({ entries: [], total_minutes: 0 });
+  const [form, setForm] = useState(null);
+  const [version, setVersion] = useState(0);
+  const reload = () => setVersion((v) => v + 1);
+
+  useEffect(() => {
+    api.get(`/tasks/${task.id}/time`, token).then((d) => d.success && setData(d));
+  }, [task.id, token, version, timer?.id]);
+
+  const log = async (e) => {
+    e.preventDefault();
+    const at = (time) => new Date(`${form.date}T${time}`).toISOString();
+    const d = await api.post(`/tasks/${task.id}/time`,
+      { started_at: at(form.start), ended_at: at(form.end), note: form.note || null }, token);
+    if (d.success) {
+      setForm(null);
+      reload();
+    } else toast.error(d.message || "Could not log time");
+  };
+
+  const remove = async (entry) => {
+    const d = await api.delete(`/tasks/${task.id}/time/${entry.id}`, token);
+    if (d.success) reload();
+    else toast.error(d.message || "Could not delete entry");
+  };
+
+  return (
+    <div className="task-time" onClick={(e) => e.stopPropagation()}>
+      <div className="series-summary">
+        <span>⏱ {formatDuration(data.total_minutes)} logged</span>
+        {!form && (
+          <button type="button" onClick={() => setForm({ ...EMPTY_ENTRY, date: new Date().toLocaleDateString("en-CA") })}>
+            Log time
+          </button>
+        )}
+      </div>
+      {data.entries.map((entry) => (
+        <div key={entry.id} className="time-entry">
+          <span>
+            {entry.user_id === user.id ? "You" : entry.user_name} · {formatDate(entry.started_at)}{" "}
+            {formatTime(entry.started_at)}–{entry.ended_at ? formatTime(entry.ended_at) : "now"}
+            {entry.note && ` · ${entry.note}`}
+          </span>
+          <span className="time-entry-mins">{formatDuration(entry.minutes)}</span>
+          {entry.user_id === user.id && entry.ended_at && (
+            <button type="button" onClick={() => remove(entry)}>✕</button>
+          )}
         </div>
+      ))}
+      {form && (
+        <form className="tl-form" onSubmit={log}>
+          <input type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} required />
+          <input type="time" value={form.start} onChange={(e) => setForm({ ...form, start: e.target.value })} required />
+          <input type="time" value={form.end} onChange={(e) => setForm({ ...form, end: e.target.value })} required />
+          <input placeholder="Note" value={form.note} onChange={(e) => setForm({ ...form, note: e.target.value })} />
+          <button type="submit" className="btn-break">Log</button>
+          <button type="button" className="btn-break" onClick={() => setForm(null)}>✕</button>
+        </form>
       )}
     </div>
   );
 }
 
+// Your tracked time over the last 7 days — per day against the time worked, and per task
+function TimeReport({ token }) {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    api.get("/time/report", token).then((d) => d.success && setReport(d.report));
+  }, [token]);
+
+  if (!report) return null;
+
+  return (
+    <div className="time-report">
+      <div className="time-report-col">
+        <h4>Per day</h4>
+        {report.by_day.length === 0 && <div className="time-report-empty">No check-ins this week</div>}
+        {report.by_day.map((day) => (
+          <div key={day.date} className="time-report-row">
+            <span>{formatDate(day.date)}</span>
+            <span>{formatDuration(day.tracked_minutes)} of {formatDuration(day.worked_minutes)} worked</span>
+          </div>
+        ))}
+      </div>
+      <div className="time-report-col">
+        <h4>Per task · {formatDuration(report.total_minutes)}</h4>
+        {report.by_task.length === 0 && <div className="time-report-empty">No time tracked yet</div>}
+        {report.by_task.map((row) => (
+          <div key={row.task_id} className="time-report-row">
+            <span>{row.title}</span>
+            <span>{formatDuration(row.minutes)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const ACTIVITY_LABELS = { status: "status", priority: "priority", due_date: "the due date", assigned_to: "the assignee" };
+
+const formatStamp = (iso) => `${formatDate(iso)} ${formatTime(iso)}`;
+
+// One line of task history, e.g. "Sam changed status from pending to in-progress"
+const describeActivity = (a) => {
+  if (a.kind === "created") return "created the task";
+  const value = (raw, name) =>
+    a.kind === "assigned_to" ? name || "nobody" : a.kind === "due_date" && raw ? formatDate(raw) : raw || "none";
+  return `changed ${ACTIVITY_LABELS[a.kind]} from ${value(a.from_value, a.from_name)} to ${value(a.to_value, a.to_name)}`;
+};
+
+// Comments and change history of a task, fetched when its card is expanded.
+// Replies are shown under the comment they answer.
+function TaskTimeline({ task, user, token, toast }) {
+  const [timeline, setTimeline] = useState([]);
+  const [draft, setDraft] = useState("");
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, body }
+  const [version, setVersion] = useState(0);
+  const reload = () => setVersion((v) => v + 1);
+
+  // Refetch after comment changes and whenever the task itself changes, so new activity shows up
+  useEffect(() => {
+    api.get(`/tasks/${task.id}/timeline`, token).then((d) => d.success && setTimeline(d.timeline));
+  }, [task.id, task.updated_at, token, version]);
+
+  const send = async (e) => {
+    e.preventDefault();
+    const d = await api.post(`/tasks/${task.id}/comments`, { body: draft, parent_id: replyTo?.id }, token);
+    if (d.success) {
+      setDraft("");
+      setReplyTo(null);
+      reload();
+    } else toast.error(d.message || d.errors?.[0]?.msg || "Could not add comment");
+  };
+
+  const saveEdit = async () => {
+    const d = await api.patch(`/tasks/${task.id}/comments/${editing.id}`, { body: editing.body }, token);
+    if (d.success) {
+      setEditing(null);
+      reload();
+    } else toast.error(d.message || d.errors?.[0]?.msg || "Could not edit comment");
+  };
+
+  const remove = async (id) => {
+    const d = await api.delete(`/tasks/${task.id}/comments/${id}`, token);
+    if (d.success) reload();
+    else toast.error(d.message || "Could not delete comment");
+  };
+
+  const replies = (id) => timeline.filter((e) => e.type === "comment" && e.parent_id === id);
+
+  const renderComment = (c) => (
+    <div key={c.id} className={c.parent_id ? "tl-entry tl-reply" : "tl-entry"}>
+      <div className="tl-meta">
+        <strong>{c.author_name || "Former user"}</strong> · {formatStamp(c.created_at)}
+        {c.edited_at && !c.deleted_at && " · edited"}
+      </div>
+      {c.deleted_at ? (
+        <div className="tl-body tl-deleted">Comment deleted</div>
+      ) : editing?.id === c.id ? (
+        <div className="tl-form">
+          <input value={editing.body} onChange={(e) => setEditing({ ...editing, body: e.target.value })} />
+          <button className="btn-break" onClick={saveEdit}>Save</button>
+          <button className="btn-break" onClick={() => setEditing(null)}>Cancel</button>
+        </div>
+      ) : (
+        <div className="tl-body">{c.body}</div>
+      )}
+      {!c.deleted_at && editing?.id !== c.id && (
+        <div className="tl-links">
+          {!c.parent_id && <button onClick={() => setReplyTo(c)}>Reply</button>}
+          {c.author_id === user.id && (
+            <>
+              <button onClick={() => setEditing({ id: c.id, body: c.body })}>Edit</button>
+              <button onClick={() => remove(c.id)}>Delete</button>
+            </>
+          )}
+        </div>
+      )}
+      {replies(c.id).map(renderComment)}
+    </div>
+  );
+
+  return (
+    <div className="task-timeline" onClick={(e) => e.stopPropagation()}>
+      {timeline.filter((e) => e.type === "activity" || !e.parent_id).map((e) =>
+        e.type === "comment" ? renderComment(e) : (
+          <div key={e.id} className="tl-entry tl-activity">
+            <strong>{e.actor_name || (e.kind === "created" ? "Repeat schedule" : "Someone")}</strong> {describeActivity(e)} · {formatStamp(e.created_at)}
+          </div>
+        )
+      )}
+      <form className="tl-form" onSubmit={send}>
+        <input placeholder={replyTo ? `Reply to ${replyTo.author_name}…` : "Add a comment…"}
+          value={draft} onChange={(e) => setDraft(e.target.value)} required />
+        {replyTo && <button type="button" className="btn-break" onClick={() => setReplyTo(null)}>✕</button>}
+        <button type="submit" className="btn-break">Send</button>
+      </form>
+    </div>
+  );
+}
+
 /* ── Main App ── */
 export default function App() {
   const [token, setToken] = useState(() => localStorage.getItem("token"));
@@ -451,14 +1654,26 @@ export default function App() {
     try { return JSON.parse(localStorage.getItem("user")); } catch { return null; }
   });
   const [tab, setTab] = useState("attendance");
+  const [timer, setTimer] = useState(null);
   const { toasts, toast, remove } = useToast();
 
+  // Running task timer for the navbar. Checked again every minute, as checking
+  // out stops it on the server.
+  useEffect(() => {
+    if (!token) return;
+    const load = () => api.get("/time/running", token).then((d) => d.success && setTimer(d.timer));
+    load();
+    const id = setInterval(load, 60000);
+    return () => clearInterval(id);
+  }, [token]);
+
   const handleAuth = (t, u) => { setToken(t); setUser(u); };
 
   const logout = () => {
     localStorage.clear();
     setToken(null);
     setUser(null);
+    setTimer(null);
   };
 
   if (!token || !user) return (
@@ -487,6 +1702,7 @@ export default function App() {
           </button>
         </div>
         <div className="nav-user">
+          <TimerWidget timer={timer} token={token} toast={toast} onChange={setTimer} />
           <div className="user-avatar">{user.name?.[0]?.toUpperCase() || "U"}</div>
           <span className="user-name">{user.name}</span>
           <button className="btn-logout" onClick={logout}>Sign Out</button>
@@ -497,7 +1713,7 @@ export default function App() {
         {tab === "attendance" ? (
           <AttendancePanel token={token} toast={toast} />
         ) : (
-          <TasksPanel token={token} toast={toast} />
+          <TasksPanel token={token} toast={toast} user={user} timer={timer} onTimerChange={setTimer} />
         )}
       </main>
     </div>